@@ -0,0 +1,107 @@
+import { applyCors } from '../lib/cors.js';
+import {
+  authenticate,
+  deleteAdminUser,
+  getAdminUser,
+  hasRole,
+  isValidRole,
+  isValidUsername,
+  issueToken,
+  normalizeUsername,
+  readAdminUsers,
+  ROLES,
+  saveAdminUser
+} from '../lib/admin-auth.js';
+import { ensureKV, parseBody } from '../lib/http.js';
+
+function toList(users) {
+  return Object.entries(users)
+    .map(([name, { tokenHash, ...user }]) => ({ name, ...user }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export default async function handler(req, res) {
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'GET, POST, DELETE, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Admin-Token'
+  });
+  if (!corsAllowed) return;
+
+  const user = await authenticate(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.method === 'GET' && req.query?.view === 'me') {
+    return res.status(200).json({ user, roles: ROLES });
+  }
+
+  if (!hasRole(user, 'admin')) {
+    return res.status(403).json({ error: 'Only an admin can manage users' });
+  }
+
+  if (!ensureKV(res)) return;
+
+  try {
+    if (req.method === 'GET') {
+      const users = await readAdminUsers();
+      return res.status(200).json({ users: toList(users), roles: ROLES });
+    }
+
+    if (req.method === 'POST') {
+      const body = parseBody(req);
+      const name = normalizeUsername(body.name);
+      if (!isValidUsername(name)) {
+        return res.status(400).json({ error: 'Username must be 2-40 characters: letters, numbers, dot, dash or underscore' });
+      }
+      if (name === 'admin') {
+        return res.status(400).json({ error: '"admin" is reserved for EXCEPTIONS_ADMIN_TOKEN' });
+      }
+
+      const role = String(body.role || 'viewer').toLowerCase();
+      if (!isValidRole(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+
+      const existing = await getAdminUser(name);
+      const now = new Date().toISOString();
+      const rotate = !existing || body.rotateToken === true;
+      const issued = rotate ? issueToken(name) : null;
+
+      const updated = {
+        role,
+        disabled: typeof body.disabled === 'boolean' ? body.disabled : Boolean(existing?.disabled),
+        tokenHash: issued ? issued.tokenHash : existing.tokenHash,
+        createdAt: existing?.createdAt || now,
+        createdBy: existing?.createdBy || user.name,
+        updatedAt: now
+      };
+      if (!(await saveAdminUser(name, updated, existing))) {
+        return res.status(409).json({ error: 'User was changed by someone else. Reload and try again.' });
+      }
+
+      console.log(`👤 Admin user ${existing ? 'updated' : 'created'}: ${name} (${role}) by ${user.name}${issued ? ', token issued' : ''}`);
+      const { tokenHash, ...saved } = updated;
+      return res.status(200).json({
+        success: true,
+        user: { name, ...saved },
+        ...(issued && { token: issued.token })
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const body = parseBody(req);
+      const name = normalizeUsername(body.name || req.query?.name);
+      if (!(await deleteAdminUser(name))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      console.log(`👤 Admin user deleted: ${name} by ${user.name}`);
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Admin users API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,170 @@
+import { applyCors } from '../lib/cors.js';
+import { authenticate, hasRole } from '../lib/admin-auth.js';
+import { ensureKV, parseBody } from '../lib/http.js';
+import { kv } from '../lib/kv.js';
+import {
+  DEFAULT_ELIGIBILITY_POLICY,
+  ELIGIBILITY_CODES,
+  evaluateSubscriptions,
+  getEligibilityPolicy,
+  getStoredPolicy,
+  resetEligibilityPolicy,
+  saveEligibilityPolicy,
+  validatePolicy
+} from '../lib/eligibility.js';
+import { findMatchingRules } from '../lib/exception-rules.js';
+import { parseRuleTarget } from '../lib/exception-matching.js';
+import { flushMetrics } from '../lib/metrics.js';
+import { customerIdsCacheKey, fetchSubscriptionDetails, resolveCustomerIds } from '../lib/skio-customers.js';
+import { subscriptionCacheIndexKey, verificationCacheKey } from '../lib/subscription-cache.js';
+
+function normalizeEmail(email) {
+  return (email || '').toLowerCase().trim();
+}
+
+async function describeCacheEntry(key, summarize) {
+  const [value, ttlSeconds] = await Promise.all([kv.get(key), kv.ttl(key)]);
+  if (!value) return { key, cached: false };
+  return {
+    key,
+    cached: true,
+    cachedAt: value.cachedAt ? new Date(value.cachedAt).toISOString() : null,
+    ageSeconds: value.cachedAt ? Math.round((Date.now() - value.cachedAt) / 1000) : null,
+    ttlSeconds: ttlSeconds >= 0 ? ttlSeconds : null,
+    summary: summarize(value)
+  };
+}
+
+async function describeCache(emailLower) {
+  const variantKeys = await kv.smembers(subscriptionCacheIndexKey(emailLower));
+  const [subscriptions, verification, customerIds] = await Promise.all([
+    Promise.all((Array.isArray(variantKeys) ? variantKeys : []).map((key) => describeCacheEntry(key, (value) => ({
+      subscriptionCount: value.data?.Subscriptions?.length ?? null
+    })))),
+    describeCacheEntry(verificationCacheKey(emailLower), ({ eligible, code, reason, policyVersion }) => ({ eligible, code, reason, policyVersion })),
+    describeCacheEntry(customerIdsCacheKey(emailLower), (ids) => ids)
+  ]);
+  return { subscriptions, verification, customerIds };
+}
+
+/**
+ * Mirror the reservation gate in api/skio.js: a matching exception rule wins, otherwise
+ * the customer needs a subscription that satisfies the eligibility policy.
+ */
+function decide(rule, skio) {
+  if (rule) {
+    const action = (rule.action || 'ALLOW').toUpperCase();
+    return {
+      result: action === 'DENY' ? 'DENY' : 'ALLOW',
+      code: action === 'DENY' ? ELIGIBILITY_CODES.RULE_DENY : ELIGIBILITY_CODES.RULE_ALLOW,
+      source: 'exception_rule',
+      reason: `${action} exception rule for ${rule.email} (${rule.matchType})${rule.note ? `: ${rule.note}` : ''}`
+    };
+  }
+  if (!skio.available) {
+    return {
+      result: 'DENY',
+      code: ELIGIBILITY_CODES.UPSTREAM_UNAVAILABLE,
+      source: 'skio_unavailable',
+      reason: `Skio could not be reached (${skio.error}); reservations fail closed with 503`
+    };
+  }
+  return { result: skio.eligible ? 'ALLOW' : 'DENY', code: skio.code, source: 'skio', reason: skio.reason };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// POLICY (?view=policy)
+// Anyone signed in can read it; only leads can change it.
+// ═══════════════════════════════════════════════════════════════
+async function handlePolicy(req, res, user) {
+  if (req.method !== 'GET' && !hasRole(user, 'lead')) {
+    return res.status(403).json({ error: 'Only a lead can change the eligibility policy' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const stored = await getStoredPolicy();
+      return res.status(200).json({
+        policy: stored ? { ...DEFAULT_ELIGIBILITY_POLICY, ...stored } : DEFAULT_ELIGIBILITY_POLICY,
+        source: stored ? 'kv' : 'default',
+        defaults: DEFAULT_ELIGIBILITY_POLICY
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const { errors, policy } = validatePolicy(parseBody(req).policy || {});
+      if (errors.length) {
+        return res.status(400).json({ error: errors[0], errors });
+      }
+      const saved = await saveEligibilityPolicy(policy, user.name);
+      console.log(`📐 Eligibility policy updated by ${user.name}`);
+      return res.status(200).json({ success: true, policy: saved, source: 'kv' });
+    }
+
+    if (req.method === 'DELETE') {
+      await resetEligibilityPolicy();
+      console.log(`📐 Eligibility policy reset to defaults by ${user.name}`);
+      return res.status(200).json({ success: true, policy: DEFAULT_ELIGIBILITY_POLICY, source: 'default' });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Eligibility policy error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export default async function handler(req, res) {
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'GET, PUT, DELETE, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Admin-Token'
+  });
+  if (!corsAllowed) return;
+
+  const user = await authenticate(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!ensureKV(res)) return;
+
+  if (req.query?.view === 'policy') {
+    return handlePolicy(req, res, user);
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const email = normalizeEmail(req.query?.email);
+  if (parseRuleTarget(email)?.matchType !== 'email') {
+    return res.status(400).json({ error: 'A customer email is required' });
+  }
+
+  try {
+    const policy = await getEligibilityPolicy();
+    const [rules, skio, cache] = await Promise.all([
+      findMatchingRules(email, { resolveCustomerIds }),
+      fetchSubscriptionDetails(email, policy)
+        .then((subscriptions) => ({ available: true, ...evaluateSubscriptions(subscriptions, policy) }))
+        .catch((e) => ({ available: false, error: e.message })),
+      describeCache(email)
+    ]);
+
+    console.log(`🔎 Eligibility explained for a customer by ${user.name}`);
+    return res.status(200).json({
+      email,
+      checkedAt: new Date().toISOString(),
+      decision: decide(rules.winner, skio),
+      exceptionRule: rules,
+      skio,
+      policy,
+      cache
+    });
+  } catch (error) {
+    console.error('Eligibility API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    await flushMetrics();
+  }
+}
@@ -0,0 +1,60 @@
+import { applyCors } from '../lib/cors.js';
+import { authenticate, hasRole, isCronRequest } from '../lib/admin-auth.js';
+import { ensureKV } from '../lib/http.js';
+import { recordAuditEntry } from '../lib/exception-audit.js';
+import { archiveExpiredRules } from '../lib/exception-rules.js';
+
+// Expired rules stay visible (under the "expired" filter) for this long before archiving
+const DEFAULT_GRACE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default async function handler(req, res) {
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Admin-Token'
+  });
+  if (!corsAllowed) return;
+
+  // Vercel Cron sends GET with CRON_SECRET; leads can also trigger a run by hand
+  let actor = null;
+  if (isCronRequest(req)) {
+    actor = 'cron';
+  } else {
+    const user = await authenticate(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (!hasRole(user, 'lead')) {
+      return res.status(403).json({ error: 'Only a lead can archive rules' });
+    }
+    actor = user.name;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!ensureKV(res)) return;
+
+  const graceDaysRaw = Number(req.query?.graceDays);
+  const graceDays = Number.isFinite(graceDaysRaw) && graceDaysRaw >= 0 ? graceDaysRaw : DEFAULT_GRACE_DAYS;
+
+  try {
+    // Audited one at a time, so a run cut short still has an entry for every archived rule
+    const archived = await archiveExpiredRules({
+      olderThanMs: graceDays * DAY_MS,
+      onArchived: (rule) => recordAuditEntry(req, { action: 'archive', email: rule.email, actor, before: rule })
+    });
+
+    console.log(`🗄️ Archived ${archived.length} expired exception rules (${actor})`);
+    return res.status(200).json({
+      success: true,
+      graceDays,
+      archived: archived.length,
+      emails: archived.map((rule) => rule.email)
+    });
+  } catch (error) {
+    console.error('Exception archive error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
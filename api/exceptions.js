@@ -1,175 +1,500 @@
-let kv = null;
-try {
-  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
-    const kvModule = await import('@vercel/kv');
-    kv = kvModule.kv;
-  } else if (process.env.EXCEPTIONS_KV_REDIS_URL || process.env.REDIS_URL) {
-    const redisUrl = process.env.EXCEPTIONS_KV_REDIS_URL || process.env.REDIS_URL;
-    const redisModule = await import('ioredis');
-    const Redis = redisModule.default;
-    const redis = new Redis(redisUrl, {
-      maxRetriesPerRequest: 1,
-      enableReadyCheck: false
-    });
-
-    kv = {
-      async get(key) {
-        const value = await redis.get(key);
-        if (value === null || value === undefined) return null;
-        try {
-          return JSON.parse(value);
-        } catch {
-          return value;
-        }
-      },
-      async set(key, value, options = {}) {
-        const payload = typeof value === 'string' ? value : JSON.stringify(value);
-        if (options?.ex) {
-          return redis.set(key, payload, 'EX', options.ex);
-        }
-        return redis.set(key, payload);
-      }
-    };
-  }
-} catch (e) {
-  console.warn('KV not available for exceptions API:', e.message);
-}
+import { applyCors } from '../lib/cors.js';
+import { AGENT_MAX_CADENCE_WEEKS, authenticate, hasRole } from '../lib/admin-auth.js';
+import { ensureKV, parseBody } from '../lib/http.js';
+import { readAuditEntries, recordAuditEntries, recordAuditEntry } from '../lib/exception-audit.js';
+import { parseCsv, stripFormulaGuard, toCsv } from '../lib/csv.js';
+import {
+  findMatchingRules,
+  getRule,
+  listDeletedRules,
+  listRules,
+  restoreDeletedRule,
+  RESTORE_WINDOW_DAYS,
+  RuleConflictError,
+  softDeleteRule,
+  writeRules
+} from '../lib/exception-rules.js';
+import { getMatchType, getRuleState, parseRuleTarget, RULE_STATES } from '../lib/exception-matching.js';
+import { flushMetrics } from '../lib/metrics.js';
+import { fetchCustomerSubscriptions, resolveCustomerIds } from '../lib/skio-customers.js';
+import {
+  invalidateCustomerCache,
+  invalidateCustomerCaches,
+  storeSubscriptionCache,
+  subscriptionCacheKey
+} from '../lib/subscription-cache.js';
 
-const EXCEPTION_RULES_KEY = 'skio:exceptions:rules';
+const VALID_ACTIONS = ['ALLOW', 'DENY'];
+const MAX_IMPORT_ROWS = 2000;
+const REFRESHED_CACHE_TTL_SECONDS = 3600; // Same stale window the proxy uses
+const EXPORT_COLUMNS = ['email', 'matchType', 'state', 'action', 'cadenceWeeks', 'startsAt', 'expiresAt', 'note', 'addedBy', 'createdAt', 'updatedAt'];
+const CSV_COLUMN_ALIASES = {
+  email: 'email',
+  target: 'email',
+  action: 'action',
+  cadence: 'cadenceWeeks',
+  cadenceweeks: 'cadenceWeeks',
+  cadence_weeks: 'cadenceWeeks',
+  starts: 'startsAt',
+  startsat: 'startsAt',
+  starts_at: 'startsAt',
+  expires: 'expiresAt',
+  expiresat: 'expiresAt',
+  expires_at: 'expiresAt',
+  note: 'note'
+};
 
 function normalizeEmail(email) {
   return (email || '').toLowerCase().trim();
 }
 
-function parseBody(req) {
-  if (!req.body) return {};
-  if (typeof req.body === 'string') {
-    try {
-      return JSON.parse(req.body);
-    } catch {
-      return {};
+function normalizeTarget(value) {
+  return parseRuleTarget(value)?.target || normalizeEmail(value);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function validateRuleInput(input) {
+  const errors = [];
+  const target = parseRuleTarget(input.email);
+  const email = target?.target || normalizeEmail(input.email);
+  if (!target) {
+    errors.push('Enter an email, @domain, pattern (*@example.com) or customer ID (shopify:123, skio:<id>)');
+  }
+
+  const action = String(input.action || 'ALLOW').trim().toUpperCase();
+  if (!VALID_ACTIONS.includes(action)) {
+    errors.push(`Unknown action "${input.action}"`);
+  }
+
+  let cadenceWeeks = 4;
+  if (!isBlank(input.cadenceWeeks)) {
+    const cadenceWeeksRaw = Number(input.cadenceWeeks);
+    if (Number.isInteger(cadenceWeeksRaw) && cadenceWeeksRaw > 0) {
+      cadenceWeeks = cadenceWeeksRaw;
+    } else {
+      errors.push('cadenceWeeks must be a positive whole number');
+    }
+  }
+
+  let startsAt = null;
+  if (!isBlank(input.startsAt)) {
+    const startsDate = new Date(input.startsAt);
+    if (Number.isNaN(startsDate.getTime())) {
+      errors.push('Invalid startsAt date');
+    } else {
+      startsAt = startsDate.toISOString();
     }
   }
-  return req.body;
+
+  let expiresAt = null;
+  if (!isBlank(input.expiresAt)) {
+    const expiresDate = new Date(input.expiresAt);
+    if (Number.isNaN(expiresDate.getTime())) {
+      errors.push('Invalid expiresAt date');
+    } else {
+      expiresAt = expiresDate.toISOString();
+    }
+  }
+
+  if (startsAt && expiresAt && startsAt >= expiresAt) {
+    errors.push('startsAt must be before expiresAt');
+  }
+
+  const note = String(input.note || '').trim().slice(0, 500);
+  return { errors, fields: { email, matchType: target?.matchType || null, action, cadenceWeeks, startsAt, expiresAt, note } };
 }
 
-function getTokenFromRequest(req) {
-  const authHeader = req.headers.authorization || '';
-  if (authHeader.startsWith('Bearer ')) {
-    return authHeader.slice('Bearer '.length).trim();
+function getPermissionError(user, fields, existing) {
+  if (hasRole(user, 'lead')) return null;
+  if (fields.matchType === 'domain' || fields.matchType === 'pattern') {
+    return 'Only a lead can create domain or pattern rules';
+  }
+  if (fields.action !== 'ALLOW' || fields.cadenceWeeks > AGENT_MAX_CADENCE_WEEKS) {
+    return `Agents can only create ALLOW rules up to ${AGENT_MAX_CADENCE_WEEKS} weeks`;
   }
-  return (req.headers['x-admin-token'] || '').trim();
+  if (existing && (existing.action || 'ALLOW').toUpperCase() === 'DENY') {
+    return 'Only a lead can replace a DENY rule';
+  }
+  return null;
 }
 
-function isAuthorized(req) {
-  const expected = (process.env.EXCEPTIONS_ADMIN_TOKEN || '').trim();
-  if (!expected) return false;
-  return getTokenFromRequest(req) === expected;
+function buildRule(fields, existing, user, now) {
+  const rule = {
+    action: fields.action,
+    cadenceWeeks: fields.cadenceWeeks,
+    note: fields.note,
+    addedBy: user.name,
+    startsAt: fields.startsAt,
+    expiresAt: fields.expiresAt,
+    active: true,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  if (existing?.active === false) {
+    // Editing a paused rule keeps it paused until someone resumes it
+    const { pausedAt, pausedBy, pauseReason } = existing;
+    return { ...rule, active: false, pausedAt, pausedBy, pauseReason };
+  }
+  return rule;
 }
 
-function ensureKV(res) {
-  if (kv) return true;
-  res.status(500).json({
-    error: 'KV not configured',
-    message: 'Manual exceptions require Vercel KV/Upstash to be configured.'
-  });
-  return false;
+function readImportRows(req) {
+  const contentType = String(req.headers['content-type'] || '');
+  const isCsvUpload = contentType.includes('text/csv') || contentType.includes('text/plain');
+  const raw = isCsvUpload && (typeof req.body === 'string' || Buffer.isBuffer(req.body)) ? String(req.body) : null;
+  const body = raw === null ? parseBody(req) : {};
+  const source = raw ?? (Array.isArray(body) ? body : body.rules ?? body.csv);
+
+  if (Array.isArray(source)) {
+    return { rows: source.map((input, index) => ({ row: index + 1, input: input || {} })) };
+  }
+
+  if (typeof source !== 'string') {
+    return { error: 'Provide a CSV string (csv) or a JSON array of rules (rules)' };
+  }
+
+  const [header = [], ...records] = parseCsv(source);
+  const columns = header.map((name) => CSV_COLUMN_ALIASES[name.trim().toLowerCase().replace(/\s+/g, '')] || null);
+  if (!columns.includes('email')) {
+    return { error: 'CSV must have a header row with an email column' };
+  }
+
+  return {
+    rows: records.map((cells, index) => ({
+      row: index + 2, // 1-based, after the header
+      input: columns.reduce((acc, column, i) => {
+        if (column) acc[column] = stripFormulaGuard((cells[i] || '').trim());
+        return acc;
+      }, {})
+    }))
+  };
+}
+
+function withPause(rule, user, reason, now) {
+  return { ...rule, active: false, pausedAt: now, pausedBy: user.name, pauseReason: reason, updatedAt: now };
 }
 
-async function readRules() {
-  const rules = await kv.get(EXCEPTION_RULES_KEY);
-  return rules && typeof rules === 'object' ? rules : {};
+function withoutPause(rule, now) {
+  const { pausedAt, pausedBy, pauseReason, ...fields } = rule;
+  return { ...fields, active: true, updatedAt: now };
 }
 
-async function writeRules(rules) {
-  await kv.set(EXCEPTION_RULES_KEY, rules);
+// Rules are checked before the subscription cache, but once a rule is removed the customer
+// would fall back to whatever Skio answer was cached before it. Only exact emails map to
+// cache entries; domain, pattern and ID rules can't be traced to individual customers.
+function purgeRuleCaches(targets) {
+  return invalidateCustomerCaches(targets.filter((target) => getMatchType(target) === 'email'));
 }
 
-function toList(rules) {
-  return Object.entries(rules)
-    .map(([email, rule]) => ({ email, ...rule }))
+function summarizeSubscriptions(data) {
+  return (data?.data?.Subscriptions || []).map((sub) => ({
+    status: sub.status,
+    interval: sub.BillingPolicy?.interval || null,
+    intervalCount: sub.BillingPolicy?.intervalCount ?? null
+  }));
+}
+
+function parseExpectedVersion(value) {
+  // Omitted means "overwrite whatever is there"; 0 means "must not exist yet"
+  if (isBlank(value)) return undefined;
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 0 ? version : undefined;
+}
+
+function toList(rules, now = Date.now()) {
+  return rules
+    .map((rule) => ({ ...rule, state: getRuleState(rule, now) }))
     .sort((a, b) => Date.parse(b.createdAt || 0) - Date.parse(a.createdAt || 0));
 }
 
 export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Token');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'GET, POST, DELETE, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Admin-Token'
+  });
+  if (!corsAllowed) return;
 
-  if (!isAuthorized(req)) {
+  const user = await authenticate(req);
+  if (!user) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
   if (!ensureKV(res)) return;
 
   try {
+    if (req.method === 'GET' && req.query?.view === 'history') {
+      const limitRaw = Number.parseInt(req.query.limit, 10);
+      const entries = await readAuditEntries({
+        email: normalizeEmail(req.query.email),
+        actor: String(req.query.actor || '').trim(),
+        limit: Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 500) : 100
+      });
+      return res.status(200).json({ entries });
+    }
+
+    if (req.method === 'GET' && req.query?.view === 'match') {
+      const email = normalizeEmail(req.query.email);
+      if (parseRuleTarget(email)?.matchType !== 'email') {
+        return res.status(400).json({ error: 'A customer email is required' });
+      }
+      const { winner, candidates } = await findMatchingRules(email, { resolveCustomerIds });
+      return res.status(200).json({ email, winner, candidates });
+    }
+
+    if (req.method === 'GET' && req.query?.view === 'deleted') {
+      const rules = await listDeletedRules();
+      return res.status(200).json({ rules, restoreWindowDays: RESTORE_WINDOW_DAYS });
+    }
+
+    if (req.method === 'GET' && req.query?.view === 'export') {
+      const rules = await listRules();
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="exception-rules-${date}.csv"`);
+      return res.status(200).send(toCsv(EXPORT_COLUMNS, toList(rules)));
+    }
+
     if (req.method === 'GET') {
-      const rules = await readRules();
-      return res.status(200).json({ rules: toList(rules) });
+      const state = String(req.query?.state || '').trim().toLowerCase();
+      if (state && !RULE_STATES.includes(state)) {
+        return res.status(400).json({ error: `state must be one of ${RULE_STATES.join(', ')}` });
+      }
+      const rules = toList(await listRules());
+      const counts = Object.fromEntries(RULE_STATES.map((name) => [name, rules.filter((rule) => rule.state === name).length]));
+      return res.status(200).json({ rules: state ? rules.filter((rule) => rule.state === state) : rules, counts });
     }
 
-    if (req.method === 'POST') {
-      const body = parseBody(req);
-      const email = normalizeEmail(body.email);
-      if (!email || !email.includes('@')) {
-        return res.status(400).json({ error: 'Valid email is required' });
-      }
-
-      const action = (body.action || 'ALLOW').toUpperCase() === 'DENY' ? 'DENY' : 'ALLOW';
-      const cadenceWeeksRaw = Number.parseInt(body.cadenceWeeks, 10);
-      const cadenceWeeks = Number.isFinite(cadenceWeeksRaw) && cadenceWeeksRaw > 0 ? cadenceWeeksRaw : 4;
-      const note = String(body.note || '').trim().slice(0, 500);
-      let expiresAt = null;
-      if (body.expiresAt) {
-        const expiresDate = new Date(body.expiresAt);
-        if (Number.isNaN(expiresDate.getTime())) {
-          return res.status(400).json({ error: 'Invalid expiresAt date' });
+    if (req.method === 'POST' && req.query?.view === 'import') {
+      if (!hasRole(user, 'agent')) {
+        return res.status(403).json({ error: 'Your role cannot change rules' });
+      }
+
+      const { rows, error } = readImportRows(req);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!rows.length) {
+        return res.status(400).json({ error: 'No rows to import' });
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows per import` });
+      }
+
+      const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+      const rules = Object.fromEntries((await listRules()).map((rule) => [rule.email, rule]));
+      const seen = new Set();
+      const errors = [];
+      const preview = [];
+
+      for (const { row, input } of rows) {
+        const { errors: rowErrors, fields } = validateRuleInput(input);
+        if (fields.email && seen.has(fields.email)) {
+          rowErrors.push('Duplicate email in this import');
+        }
+        seen.add(fields.email);
+
+        const existing = rules[fields.email];
+        const permissionError = rowErrors.length ? null : getPermissionError(user, fields, existing);
+        if (permissionError) rowErrors.push(permissionError);
+
+        if (rowErrors.length) {
+          errors.push({ row, email: fields.email || String(input.email || ''), errors: rowErrors });
+        } else {
+          preview.push({ row, change: existing ? 'update' : 'create', ...fields });
         }
-        expiresAt = expiresDate.toISOString();
       }
-      const addedBy = String(body.addedBy || 'cs-team').trim().slice(0, 100);
+
+      const summary = { dryRun, total: rows.length, valid: preview.length, invalid: errors.length, errors, preview };
+      if (dryRun) {
+        return res.status(200).json(summary);
+      }
+      if (errors.length) {
+        return res.status(400).json({ error: 'Import has invalid rows; nothing was saved', ...summary });
+      }
+
+      // All rows are written in one atomic script; a concurrent edit to any of them aborts the import
+      const now = new Date().toISOString();
+      const saved = await writeRules(preview.map(({ change, row, ...fields }) => ({
+        email: fields.email,
+        rule: buildRule(fields, rules[fields.email], user, now),
+        expectedVersion: rules[fields.email]?.version ?? 0
+      })));
+      await recordAuditEntries(req, saved.map((rule, i) => ({
+        action: preview[i].change,
+        email: rule.email,
+        actor: user.name,
+        before: rules[rule.email] || null,
+        after: rule
+      })));
+      await purgeRuleCaches(saved.map((rule) => rule.email));
+
+      return res.status(200).json({ success: true, ...summary });
+    }
+
+    if (req.method === 'POST' && (req.query?.view === 'pause' || req.query?.view === 'resume')) {
+      if (!hasRole(user, 'agent')) {
+        return res.status(403).json({ error: 'Your role cannot change rules' });
+      }
+
+      const pausing = req.query.view === 'pause';
+      const body = parseBody(req);
+      const email = normalizeTarget(body.email);
+      const before = email ? await getRule(email) : null;
+      if (!before) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      if ((before.active === false) === pausing) {
+        return res.status(400).json({ error: pausing ? 'Rule is already paused' : 'Rule is not paused' });
+      }
+
+      // Pausing or resuming changes who gets access, so it needs the same role as editing the rule
+      const { fields } = validateRuleInput(before);
+      const permissionError = getPermissionError(user, fields, before);
+      if (permissionError) {
+        return res.status(403).json({ error: permissionError });
+      }
+
       const now = new Date().toISOString();
+      const reason = String(body.reason || '').trim().slice(0, 500);
+      const [rule] = await writeRules([{
+        email,
+        rule: pausing ? withPause(before, user, reason, now) : withoutPause(before, now),
+        expectedVersion: parseExpectedVersion(body.version)
+      }]);
+      await recordAuditEntry(req, { action: req.query.view, email, actor: user.name, before, after: rule });
+      await purgeRuleCaches([email]);
+
+      return res.status(200).json({ success: true, rule });
+    }
+
+    if (req.method === 'POST' && req.query?.view === 'refresh') {
+      if (!hasRole(user, 'agent')) {
+        return res.status(403).json({ error: 'Your role cannot refresh customers' });
+      }
+
+      const email = normalizeEmail(parseBody(req).email);
+      if (parseRuleTarget(email)?.matchType !== 'email') {
+        return res.status(400).json({ error: 'A customer email is required' });
+      }
+
+      const purged = await invalidateCustomerCache(email);
+      let fresh;
+      try {
+        fresh = await fetchCustomerSubscriptions(email);
+      } catch (e) {
+        console.warn('Customer refresh lookup failed:', e.message);
+        return res.status(502).json({
+          error: 'Cache cleared, but Skio could not be reached. Try again shortly.',
+          email,
+          purged
+        });
+      }
+
+      // Re-prime the entry the storefront reads so the customer's next page load is fast and current
+      const cacheKey = subscriptionCacheKey(email, fresh.operation, fresh.variables);
+      await storeSubscriptionCache(email, cacheKey, fresh.data, REFRESHED_CACHE_TTL_SECONDS);
+      const { winner } = await findMatchingRules(email, { resolveCustomerIds });
+      console.log(`🔄 Customer cache refreshed by ${user.name}`);
+
+      return res.status(200).json({
+        success: true,
+        email,
+        purged,
+        subscriptions: summarizeSubscriptions(fresh.data),
+        exceptionRule: winner,
+        refreshedAt: new Date().toISOString()
+      });
+    }
+
+    if (req.method === 'POST' && req.query?.view === 'restore') {
+      if (!hasRole(user, 'lead')) {
+        return res.status(403).json({ error: 'Only a lead can restore rules' });
+      }
+
+      const email = normalizeTarget(parseBody(req).email);
+      const rule = email ? await restoreDeletedRule(email, { restoredBy: user.name }) : null;
+      if (!rule) {
+        return res.status(404).json({ error: `No deleted rule to restore (deleted rules are kept for ${RESTORE_WINDOW_DAYS} days)` });
+      }
+      await recordAuditEntry(req, { action: 'restore', email, actor: user.name, after: rule });
+      await purgeRuleCaches([email]);
+
+      return res.status(200).json({ success: true, rule });
+    }
 
-      const rules = await readRules();
-      rules[email] = {
-        action,
-        cadenceWeeks,
-        note,
-        addedBy,
-        expiresAt,
-        active: true,
-        createdAt: rules[email]?.createdAt || now,
-        updatedAt: now
-      };
-      await writeRules(rules);
-
-      return res.status(200).json({ success: true, rule: { email, ...rules[email] } });
+    if (req.method === 'POST') {
+      if (!hasRole(user, 'agent')) {
+        return res.status(403).json({ error: 'Your role cannot change rules' });
+      }
+
+      const body = parseBody(req);
+      const { errors, fields } = validateRuleInput(body);
+      if (errors.length) {
+        return res.status(400).json({ error: errors[0] });
+      }
+
+      const { email } = fields;
+      const before = await getRule(email);
+
+      const permissionError = getPermissionError(user, fields, before);
+      if (permissionError) {
+        return res.status(403).json({ error: permissionError });
+      }
+
+      const [rule] = await writeRules([{
+        email,
+        rule: buildRule(fields, before, user, new Date().toISOString()),
+        expectedVersion: parseExpectedVersion(body.version)
+      }]);
+      await recordAuditEntry(req, { action: before ? 'update' : 'create', email, actor: user.name, before, after: rule });
+      await purgeRuleCaches([email]);
+
+      return res.status(200).json({ success: true, rule });
     }
 
     if (req.method === 'DELETE') {
+      if (!hasRole(user, 'lead')) {
+        return res.status(403).json({ error: 'Only a lead can delete rules' });
+      }
+
       const body = parseBody(req);
-      const email = normalizeEmail(body.email || req.query?.email);
+      const email = normalizeTarget(body.email || req.query?.email);
       if (!email) {
         return res.status(400).json({ error: 'Email is required' });
       }
 
-      const rules = await readRules();
-      if (!rules[email]) {
+      const before = await getRule(email);
+      if (!before) {
         return res.status(404).json({ error: 'Rule not found' });
       }
 
-      delete rules[email];
-      await writeRules(rules);
-      return res.status(200).json({ success: true });
+      const deleted = await softDeleteRule(before, {
+        expectedVersion: parseExpectedVersion(body.version ?? req.query?.version),
+        deletedBy: user.name
+      });
+
+      await recordAuditEntry(req, { action: 'delete', email, actor: user.name, before });
+      await purgeRuleCaches([email]);
+      return res.status(200).json({ success: true, restoreUntil: deleted.restoreUntil });
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (error) {
+    if (error instanceof RuleConflictError) {
+      const current = await getRule(error.email).catch(() => null);
+      return res.status(409).json({
+        error: 'Rule was changed by someone else. Reload and try again.',
+        email: error.email,
+        currentVersion: error.currentVersion,
+        rule: current
+      });
+    }
     console.error('Exceptions API error:', error);
     return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    await flushMetrics();
   }
 }
@@ -0,0 +1,108 @@
+import { applyCors } from '../lib/cors.js';
+import { authenticate, hasRole, isCronRequest } from '../lib/admin-auth.js';
+import { ensureKV, parseBody } from '../lib/http.js';
+import { getKlaviyoApiKey } from '../lib/klaviyo.js';
+import {
+  deliverOutboxEntry,
+  discardOutboxEntry,
+  isValidOutboxId,
+  listOutboxEntries,
+  MAX_ATTEMPTS,
+  processOutbox
+} from '../lib/klaviyo-outbox.js';
+import { flushMetrics } from '../lib/metrics.js';
+
+function ensureKlaviyoKey(res) {
+  if (getKlaviyoApiKey()) return true;
+  res.status(500).json({ error: 'Server configuration error', message: 'KLAVIYO_PRIVATE_KEY is not configured' });
+  return false;
+}
+
+export default async function handler(req, res) {
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'GET, POST, DELETE, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Admin-Token'
+  });
+  if (!corsAllowed) return;
+
+  if (!ensureKV(res)) return;
+
+  try {
+    // Vercel Cron sends GET with CRON_SECRET and retries whatever is due
+    if (isCronRequest(req)) {
+      if (!ensureKlaviyoKey(res)) return;
+      const summary = await processOutbox();
+      console.log(`📬 Klaviyo outbox run: ${summary.delivered}/${summary.attempted} delivered, ${summary.dead} dead`);
+      return res.status(200).json({ success: true, ...summary });
+    }
+
+    const user = await authenticate(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') {
+      const entries = await listOutboxEntries();
+      return res.status(200).json({
+        entries,
+        counts: {
+          pending: entries.filter((entry) => entry.status === 'pending').length,
+          dead: entries.filter((entry) => entry.status === 'dead').length
+        },
+        maxAttempts: MAX_ATTEMPTS
+      });
+    }
+
+    if (req.method === 'POST' && req.query?.view === 'process') {
+      if (!hasRole(user, 'lead')) {
+        return res.status(403).json({ error: 'Only a lead can run the outbox' });
+      }
+      if (!ensureKlaviyoKey(res)) return;
+      const summary = await processOutbox();
+      return res.status(200).json({ success: true, ...summary });
+    }
+
+    if (req.method === 'POST' && req.query?.view === 'replay') {
+      if (!hasRole(user, 'agent')) {
+        return res.status(403).json({ error: 'Your role cannot replay Klaviyo calls' });
+      }
+      const { id } = parseBody(req);
+      if (!isValidOutboxId(id)) {
+        return res.status(400).json({ error: 'A valid outbox entry id is required' });
+      }
+      if (!ensureKlaviyoKey(res)) return;
+
+      const { result, entry } = await deliverOutboxEntry(id, { restartBackoff: true });
+      console.log(`📬 Klaviyo outbox replay of ${id} by ${user.name}: ${result}`);
+      if (result === 'missing') {
+        return res.status(404).json({ error: 'Outbox entry not found (it may already have been delivered)' });
+      }
+      if (result === 'busy') {
+        return res.status(409).json({ error: 'This entry is being sent right now. Try again in a minute.' });
+      }
+      return res.status(200).json({ success: result === 'delivered', result, entry });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!hasRole(user, 'lead')) {
+        return res.status(403).json({ error: 'Only a lead can discard Klaviyo calls' });
+      }
+      const id = parseBody(req).id || req.query?.id;
+      if (!isValidOutboxId(id)) {
+        return res.status(400).json({ error: 'A valid outbox entry id is required' });
+      }
+      if (!(await discardOutboxEntry(id))) {
+        return res.status(404).json({ error: 'Outbox entry not found' });
+      }
+      console.log(`🗑️ Klaviyo outbox entry ${id} discarded by ${user.name}`);
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Klaviyo outbox API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    await flushMetrics();
+  }
+}
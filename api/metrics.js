@@ -0,0 +1,62 @@
+import { applyCors } from '../lib/cors.js';
+import { authenticate, isMetricsScrapeRequest } from '../lib/admin-auth.js';
+import { ensureKV } from '../lib/http.js';
+import { getCircuitState } from '../lib/circuit-breaker.js';
+import { formatJson, formatPrometheus, readMetrics } from '../lib/metrics.js';
+
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+
+function wantsJson(req) {
+  if (req.query?.format) return req.query.format === 'json';
+  return String(req.headers.accept || '').includes('application/json');
+}
+
+export default async function handler(req, res) {
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'GET, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Admin-Token'
+  });
+  if (!corsAllowed) return;
+
+  // Prometheus scrapes with METRICS_TOKEN; any signed-in rep can open the dashboard
+  if (!isMetricsScrapeRequest(req) && !(await authenticate(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!ensureKV(res)) return;
+
+  try {
+    const [entries, circuitBreaker] = await Promise.all([
+      readMetrics(),
+      getCircuitState().catch((e) => ({ state: 'unknown', error: e.message }))
+    ]);
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (wantsJson(req)) {
+      return res.status(200).json({
+        generatedAt: new Date().toISOString(),
+        circuitBreaker,
+        ...formatJson(entries)
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.status(200).send(formatPrometheus(entries, {
+      skio_circuit_breaker_state: {
+        help: 'Current Skio circuit breaker state (1 for the active state)',
+        samples: CIRCUIT_STATES.map((state) => [{ state }, circuitBreaker.state === state ? 1 : 0])
+      },
+      skio_circuit_breaker_failures: {
+        help: 'Consecutive Skio failures counted by the circuit breaker',
+        samples: [[{}, circuitBreaker.failures || 0]]
+      }
+    }));
+  } catch (error) {
+    console.error('Metrics API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,76 @@
+import {
+  applyCors,
+  DEFAULT_ALLOWED_ORIGINS,
+  getStoredOrigins,
+  isValidOriginPattern,
+  normalizeOriginPattern,
+  resetAllowedOrigins,
+  saveAllowedOrigins
+} from '../lib/cors.js';
+import { authenticate, hasRole } from '../lib/admin-auth.js';
+import { ensureKV, parseBody } from '../lib/http.js';
+
+const MAX_ORIGINS = 50;
+
+export default async function handler(req, res) {
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'GET, PUT, DELETE, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Admin-Token'
+  });
+  if (!corsAllowed) return;
+
+  const user = await authenticate(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!ensureKV(res)) return;
+
+  if (req.method !== 'GET' && !hasRole(user, 'lead')) {
+    return res.status(403).json({ error: 'Only a lead can change allowed origins' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const stored = await getStoredOrigins();
+      return res.status(200).json({
+        origins: stored || DEFAULT_ALLOWED_ORIGINS,
+        source: stored ? 'kv' : 'default',
+        defaults: DEFAULT_ALLOWED_ORIGINS
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const body = parseBody(req);
+      if (!Array.isArray(body.origins)) {
+        return res.status(400).json({ error: 'origins must be an array' });
+      }
+
+      const origins = [...new Set(body.origins.map(normalizeOriginPattern).filter(Boolean))];
+      if (!origins.length) {
+        return res.status(400).json({ error: 'At least one origin is required' });
+      }
+      if (origins.length > MAX_ORIGINS) {
+        return res.status(400).json({ error: `At most ${MAX_ORIGINS} origins are allowed` });
+      }
+
+      const invalid = origins.filter((origin) => !isValidOriginPattern(origin));
+      if (invalid.length) {
+        return res.status(400).json({ error: 'Invalid origin pattern', invalid });
+      }
+
+      await saveAllowedOrigins(origins);
+      return res.status(200).json({ success: true, origins, source: 'kv' });
+    }
+
+    if (req.method === 'DELETE') {
+      await resetAllowedOrigins();
+      return res.status(200).json({ success: true, origins: DEFAULT_ALLOWED_ORIGINS, source: 'default' });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Origins API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
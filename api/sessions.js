@@ -0,0 +1,143 @@
+import { applyCors } from '../lib/cors.js';
+import { authenticate, hasRole } from '../lib/admin-auth.js';
+import { toCsv } from '../lib/csv.js';
+import { ensureKV, parseBody } from '../lib/http.js';
+import { flushMetrics } from '../lib/metrics.js';
+import { listSessionIds, listSessionReservations, resolveSessionId } from '../lib/reservations.js';
+import {
+  getSessionSummary,
+  isValidCapacity,
+  MAX_SESSION_CAPACITY,
+  setSessionCapacity
+} from '../lib/session-capacity.js';
+
+const RESERVATION_STATUSES = ['reserved', 'waitlisted', 'cancelled', 'rescheduled'];
+const EXPORT_COLUMNS = [
+  'sessionId', 'moduleLabel', 'sessionTitle', 'dateText', 'startsAt', 'status', 'email', 'firstName', 'lastName',
+  'reservedAt', 'waitlistedAt', 'promotedAt', 'cancelledAt', 'rescheduledTo', 'rescheduledFrom', 'source', 'code', 'reservationId'
+];
+
+function toReservationRow(record) {
+  return {
+    reservationId: record.id,
+    sessionId: record.sessionId,
+    status: record.status,
+    email: record.email,
+    firstName: record.firstName || '',
+    lastName: record.lastName || '',
+    moduleLabel: record.moduleLabel || '',
+    sessionTitle: record.sessionTitle || '',
+    dateText: record.dateText || '',
+    startsAt: record.startsAt || null,
+    reservedAt: record.reservedAt || null,
+    waitlistedAt: record.waitlistedAt || null,
+    promotedAt: record.promotedAt || null,
+    cancelledAt: record.cancelledAt || null,
+    rescheduledTo: record.rescheduledTo || null,
+    rescheduledFrom: record.rescheduledFrom || null,
+    // `skio` and `cache` were verified against Skio; `exception_rule` by a CS rule
+    source: record.source || '',
+    code: record.code || ''
+  };
+}
+
+// One session (`?sessionId=`) or all of them, each with its reservations and status counts
+async function loadSessionReservations(query) {
+  let sessionIds = await listSessionIds();
+  const sessionId = query?.sessionId ? resolveSessionId({ sessionId: query.sessionId }) : null;
+  if (query?.sessionId) {
+    if (!sessionId) return { error: 'sessionId may only contain letters, digits, ".", "_", ":" and "-"' };
+    sessionIds = sessionIds.filter((id) => id === sessionId);
+  }
+
+  const status = String(query?.status || '').trim().toLowerCase();
+  if (status && !RESERVATION_STATUSES.includes(status)) {
+    return { error: `status must be one of ${RESERVATION_STATUSES.join(', ')}` };
+  }
+
+  const sessions = await Promise.all(sessionIds.map(async (sessionId) => {
+    const [summary, records] = await Promise.all([getSessionSummary(sessionId), listSessionReservations(sessionId)]);
+    const counts = Object.fromEntries(RESERVATION_STATUSES.map((s) => [s, records.filter((r) => r.status === s).length]));
+    const reservations = records.filter((r) => !status || r.status === status).map(toReservationRow);
+    const latest = records[records.length - 1] || {};
+    return {
+      ...summary,
+      moduleLabel: latest.moduleLabel || '',
+      sessionTitle: latest.sessionTitle || '',
+      dateText: latest.dateText || '',
+      counts,
+      reservations
+    };
+  }));
+  return { sessionId, sessions };
+}
+
+export default async function handler(req, res) {
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'GET, PUT, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Admin-Token'
+  });
+  if (!corsAllowed) return;
+
+  const user = await authenticate(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!ensureKV(res)) return;
+
+  try {
+    if (req.method === 'GET' && req.query?.view === 'reservations') {
+      const result = await loadSessionReservations(req.query);
+      if (result.error) return res.status(400).json({ error: result.error });
+      return res.status(200).json({ sessions: result.sessions, statuses: RESERVATION_STATUSES });
+    }
+
+    if (req.method === 'GET' && req.query?.view === 'export') {
+      const result = await loadSessionReservations(req.query);
+      if (result.error) return res.status(400).json({ error: result.error });
+      const date = new Date().toISOString().slice(0, 10);
+      const name = result.sessionId ? `reservations-${result.sessionId}-${date}` : `reservations-${date}`;
+      console.log(`📋 Reservations for ${result.sessionId || 'all sessions'} exported by ${user.name}`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+      return res.status(200).send(toCsv(EXPORT_COLUMNS, result.sessions.flatMap((session) => session.reservations)));
+    }
+
+    if (req.method === 'GET') {
+      const sessions = await Promise.all((await listSessionIds()).map(getSessionSummary));
+      return res.status(200).json({ sessions, maxCapacity: MAX_SESSION_CAPACITY });
+    }
+
+    if (req.method === 'PUT') {
+      if (!hasRole(user, 'lead')) {
+        return res.status(403).json({ error: 'Only a lead can change session capacity' });
+      }
+
+      const body = parseBody(req);
+      const sessionId = resolveSessionId({ sessionId: body.sessionId });
+      if (!body.sessionId || !sessionId) {
+        return res.status(400).json({ error: 'A valid sessionId is required (letters, digits, ".", "_", ":" and "-")' });
+      }
+      // null or "" removes the limit
+      const capacity = body.capacity === null || body.capacity === '' ? null : Number(body.capacity);
+      if (capacity !== null && !isValidCapacity(capacity)) {
+        return res.status(400).json({ error: `capacity must be a whole number from 0 to ${MAX_SESSION_CAPACITY}, or null for unlimited` });
+      }
+
+      const session = await setSessionCapacity(sessionId, capacity);
+      console.log(`🎟️ Capacity for ${sessionId} set to ${capacity ?? 'unlimited'} by ${user.name} (${session.promoted.length} promoted)`);
+      return res.status(200).json({
+        success: true,
+        session: { ...session, promoted: session.promoted.length }
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Sessions API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    await flushMetrics();
+  }
+}
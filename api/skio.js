@@ -1,52 +1,63 @@
 // api/skio.js - Enterprise-grade Skio + Klaviyo proxy with Redis caching & rate limiting
 // Updated: 2026 - Bulletproof gateway with stale-while-revalidate, circuit breaker, and request deduplication
 
-// ═══════════════════════════════════════════════════════════════
-// REDIS/KV INITIALIZATION (Upstash Redis via Vercel Marketplace)
-// ═══════════════════════════════════════════════════════════════
-let kv = null;
-try {
-  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
-    const kvModule = await import('@vercel/kv');
-    kv = kvModule.kv;
-  } else if (process.env.EXCEPTIONS_KV_REDIS_URL || process.env.REDIS_URL) {
-    const redisUrl = process.env.EXCEPTIONS_KV_REDIS_URL || process.env.REDIS_URL;
-    const redisModule = await import('ioredis');
-    const Redis = redisModule.default;
-    const redis = new Redis(redisUrl, {
-      maxRetriesPerRequest: 1,
-      enableReadyCheck: false
-    });
-
-    // Compatibility wrapper so existing kv.get/set/incr/expire calls keep working.
-    kv = {
-      async get(key) {
-        const value = await redis.get(key);
-        if (value === null || value === undefined) return null;
-        try {
-          return JSON.parse(value);
-        } catch {
-          return value;
-        }
-      },
-      async set(key, value, options = {}) {
-        const payload = typeof value === 'string' ? value : JSON.stringify(value);
-        if (options?.ex) {
-          return redis.set(key, payload, 'EX', options.ex);
-        }
-        return redis.set(key, payload);
-      },
-      async incr(key) {
-        return redis.incr(key);
-      },
-      async expire(key, ttlSeconds) {
-        return redis.expire(key, ttlSeconds);
-      }
-    };
-  }
-} catch (e) {
-  console.warn('KV not available:', e.message);
-}
+import { kv } from '../lib/kv.js';
+import { applyCors } from '../lib/cors.js';
+import { customerKey, isKeyHashingAvailable } from '../lib/keys.js';
+import { findMatchingRules } from '../lib/exception-rules.js';
+import { resolveCustomerIds } from '../lib/skio-customers.js';
+import { subscriptionCacheKey, trackSubscriptionCacheKey, verificationCacheKey } from '../lib/subscription-cache.js';
+import { listOperations, pickOperationVariables, resolveOperation } from '../lib/skio-operations.js';
+import {
+  CIRCUIT_BREAKER_RESET_MS,
+  CircuitOpenError,
+  checkCircuit,
+  getCircuitState,
+  getLastKnownCircuitState,
+  recordFailure,
+  recordSuccess
+} from '../lib/circuit-breaker.js';
+import { flushMetrics, incrementCounter, observeLatency } from '../lib/metrics.js';
+import {
+  buildEventPayload,
+  buildProfileUpdatePayload,
+  getKlaviyoApiKey,
+  isKlaviyoSuccess,
+  sendKlaviyo
+} from '../lib/klaviyo.js';
+import { enqueueKlaviyoCall } from '../lib/klaviyo-outbox.js';
+import { logger, withRequestContext } from '../lib/logger.js';
+import { buildReservationCalendar, parseSessionSchedule } from '../lib/calendar.js';
+import {
+  claimReservation,
+  findIdempotentSession,
+  getIdempotencyKeyFromRequest,
+  getReservation,
+  isActiveReservation,
+  isReservationStoreAvailable,
+  isValidIdempotencyKey,
+  listCustomerReservations,
+  releaseReservationClaim,
+  reservationEventProperties,
+  resolveSessionId,
+  saveReservation,
+  updateReservation
+} from '../lib/reservations.js';
+import { getWaitlistPosition, releaseSeat, settleWaitlisted, takeSeat } from '../lib/session-capacity.js';
+import {
+  ELIGIBILITY_CODES,
+  buildSubscriptionQuery,
+  evaluateSubscriptions,
+  extractSubscriptions,
+  getEligibilityPolicy,
+  getPolicyVersion
+} from '../lib/eligibility.js';
+import {
+  getCustomerTokenFromRequest,
+  isCustomerIdentityAvailable,
+  isCustomerTokenRequired,
+  verifyCustomerToken
+} from '../lib/customer-identity.js';
 
 // ═══════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -63,43 +74,21 @@ const CONFIG = {
   
   // External APIs
   SKIO_GRAPHQL_URL: 'https://graphql.skio.com/v1/graphql',
-  KLAVIYO_API_URL: 'https://a.klaviyo.com/api',
-  KLAVIYO_REVISION: '2024-10-15',
   
   // Timeouts and retries - OPTIMIZED FOR UX
   API_TIMEOUT_MS: 20000,               // 20 second timeout per attempt (increased for slow Skio responses)
   SKIO_RETRY_COUNT: 2,                 // 2 retries (3 attempts total)
   SKIO_RETRY_DELAY_MS: 500,            // 0.5 second between retries (faster recovery)
   
-  // Circuit breaker settings - MORE LENIENT
-  CIRCUIT_BREAKER_THRESHOLD: 10,       // Open circuit after 10 consecutive failures
-  CIRCUIT_BREAKER_RESET_MS: 15000,     // Try again after 15 seconds
+  // Circuit breaker thresholds live in lib/circuit-breaker.js (state is shared via KV)
   
   // Request deduplication window
-  DEDUP_WINDOW_MS: 5000,               // Dedupe identical requests within 5 seconds
-  
-  // CORS
-  ALLOWED_ORIGINS: [
-    'https://im8health.com',
-    'https://www.im8health.com',
-    'https://im8official.myshopify.com',
-    'http://localhost:3000',
-    'http://127.0.0.1:9292'
-  ],
-
-  // Manual exception rules
-  EXCEPTION_RULES_KEY: 'skio:exceptions:rules'
+  DEDUP_WINDOW_MS: 5000                // Dedupe identical requests within 5 seconds
 };
 
 // ═══════════════════════════════════════════════════════════════
 // IN-MEMORY STATE (per-instance, resets on cold start)
 // ═══════════════════════════════════════════════════════════════
-const circuitBreaker = {
-  failures: 0,
-  lastFailure: 0,
-  isOpen: false
-};
-
 // In-flight request deduplication map
 const inFlightRequests = new Map();
 
@@ -107,29 +96,24 @@ function normalizeEmail(email) {
   return (email || '').toLowerCase().trim();
 }
 
-async function getExceptionRules() {
-  if (!kv) return {};
-  try {
-    const rules = await kv.get(CONFIG.EXCEPTION_RULES_KEY);
-    return rules && typeof rules === 'object' ? rules : {};
-  } catch (e) {
-    console.warn('Failed to load exception rules:', e.message);
-    return {};
-  }
-}
-
-function getActiveExceptionRule(rules, emailLower) {
-  const rule = rules[emailLower];
-  if (!rule || rule.active === false) return null;
+// Exact email, customer-ID, pattern and domain rules all apply; see lib/exception-matching.js
+// for precedence. Inactive and expired rules never win.
+async function getActiveExceptionRule(emailLower) {
+  if (!kv) return null;
 
-  if (rule.expiresAt) {
-    const expiresAtMs = Date.parse(rule.expiresAt);
-    if (!Number.isNaN(expiresAtMs) && expiresAtMs <= Date.now()) {
-      return null;
+  try {
+    const { winner } = await findMatchingRules(emailLower, { resolveCustomerIds });
+    if (winner) {
+      incrementCounter('skio_exception_rule_hits_total', {
+        action: (winner.action || 'ALLOW').toUpperCase(),
+        match_type: winner.matchType
+      });
     }
+    return winner;
+  } catch (e) {
+    logger.warn('Failed to load exception rule', { error: e.message });
+    return null;
   }
-
-  return rule;
 }
 
 function buildSyntheticSubscriberResponse(cadenceWeeks = 4) {
@@ -149,38 +133,22 @@ function buildSyntheticSubscriberResponse(cadenceWeeks = 4) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// CIRCUIT BREAKER
+// CUSTOMER IDENTITY
+// Requests must carry a theme-signed token for the email they ask about.
+// Enforced whenever CUSTOMER_TOKEN_SECRET is configured, and always in production.
 // ═══════════════════════════════════════════════════════════════
-function checkCircuitBreaker() {
-  if (!circuitBreaker.isOpen) return true;
-  
-  // Check if enough time has passed to try again
-  const timeSinceFailure = Date.now() - circuitBreaker.lastFailure;
-  if (timeSinceFailure >= CONFIG.CIRCUIT_BREAKER_RESET_MS) {
-    console.log('🔌 Circuit breaker: Half-open, allowing test request');
-    return true; // Allow a test request
-  }
-  
-  console.log('🔌 Circuit breaker: OPEN, rejecting request');
-  return false;
-}
+function ensureCustomerIdentity(req, res, emailLower) {
+  if (!isCustomerTokenRequired()) return true;
 
-function recordSuccess() {
-  if (circuitBreaker.failures > 0 || circuitBreaker.isOpen) {
-    console.log('🔌 Circuit breaker: Reset after success');
-  }
-  circuitBreaker.failures = 0;
-  circuitBreaker.isOpen = false;
-}
+  const { valid, reason } = verifyCustomerToken(emailLower, getCustomerTokenFromRequest(req));
+  if (valid) return true;
 
-function recordFailure() {
-  circuitBreaker.failures++;
-  circuitBreaker.lastFailure = Date.now();
-  
-  if (circuitBreaker.failures >= CONFIG.CIRCUIT_BREAKER_THRESHOLD) {
-    circuitBreaker.isOpen = true;
-    console.log(`🔌 Circuit breaker: OPENED after ${circuitBreaker.failures} failures`);
-  }
+  logger.warn('Customer identity rejected', { reason });
+  res.status(401).json({
+    error: 'Unauthorized',
+    message: 'Customer identity could not be verified. Please sign in again.'
+  });
+  return false;
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -201,6 +169,40 @@ async function fetchWithTimeout(url, options, timeoutMs = CONFIG.API_TIMEOUT_MS)
   }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// KLAVIYO CALLS
+// Sent through lib/klaviyo.js; failures go to the outbox and are retried by
+// /api/klaviyo-outbox (lib/klaviyo-outbox.js).
+// ═══════════════════════════════════════════════════════════════
+async function callKlaviyo(call, payload) {
+  try {
+    const response = await sendKlaviyo(call, payload);
+    return { call, payload, response, ok: isKlaviyoSuccess(response) };
+  } catch (error) {
+    return { call, payload, error, ok: false };
+  }
+}
+
+// Returns 'ok', 'queued' or 'failed' (KV unavailable, so the call is lost) per call
+async function queueFailedKlaviyoCalls(email, context, results) {
+  const outcomes = {};
+  for (const { call, payload, response, error, ok } of results) {
+    if (ok) {
+      outcomes[call] = 'ok';
+      continue;
+    }
+    try {
+      if (!kv) throw new Error('KV not configured');
+      await enqueueKlaviyoCall({ call, payload, email, context, response, error });
+      outcomes[call] = 'queued';
+    } catch (e) {
+      logger.error('Klaviyo call failed and could not be queued', { call, status: response?.status, error: error?.message, queueError: e.message });
+      outcomes[call] = 'failed';
+    }
+  }
+  return outcomes;
+}
+
 // ═══════════════════════════════════════════════════════════════
 // FETCH WITH RETRY + CIRCUIT BREAKER
 // ═══════════════════════════════════════════════════════════════
@@ -209,9 +211,12 @@ async function fetchWithRetry(url, options, {
   retryDelayMs = CONFIG.SKIO_RETRY_DELAY_MS,
   timeoutMs = CONFIG.API_TIMEOUT_MS 
 } = {}) {
-  // Check circuit breaker first
-  if (!checkCircuitBreaker()) {
-    throw new Error('Circuit breaker is open - Skio API temporarily unavailable');
+  // Check the shared circuit breaker first; a half-open probe holds its lock for the whole retried request
+  const breaker = await checkCircuit({ probeTimeoutMs: (timeoutMs + retryDelayMs) * (maxRetries + 1) });
+  if (!breaker.allowed) {
+    logger.info('Circuit breaker rejected Skio request', { state: breaker.state });
+    incrementCounter('skio_circuit_breaker_rejections_total', { state: breaker.state });
+    throw new CircuitOpenError(breaker.state);
   }
   
   let lastError;
@@ -219,35 +224,49 @@ async function fetchWithRetry(url, options, {
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
       if (attempt > 0) {
-        console.log(`🔄 Retry attempt ${attempt}/${maxRetries} after ${retryDelayMs}ms...`);
+        logger.info('Retrying Skio request', { attempt, maxRetries, delayMs: retryDelayMs });
         await new Promise(resolve => setTimeout(resolve, retryDelayMs));
         // Exponential backoff: double the delay for next retry
         retryDelayMs *= 2;
+        incrementCounter('skio_upstream_retries_total');
       }
       
-      const response = await fetchWithTimeout(url, options, timeoutMs);
+      const attemptStart = Date.now();
+      let response;
+      try {
+        response = await fetchWithTimeout(url, options, timeoutMs);
+      } finally {
+        observeLatency('skio_upstream_latency_ms', {}, Date.now() - attemptStart);
+      }
+      incrementCounter('skio_upstream_attempts_total', { outcome: response.status >= 500 ? 'http_5xx' : 'ok' });
       
       // Retry on 5xx errors (server issues) but not 4xx (client errors)
       if (response.status >= 500 && attempt < maxRetries) {
-        console.log(`⚠️ Skio returned ${response.status}, will retry...`);
+        logger.warn('Skio returned an error status, will retry', { status: response.status, attempt: attempt + 1 });
         lastError = new Error(`HTTP ${response.status}`);
         continue;
       }
       
-      // Success! Record it for circuit breaker
-      if (response.ok) {
-        recordSuccess();
+      // Any non-5xx answer means Skio is up; a 5xx after the last retry counts as a failure
+      if (response.status >= 500) {
+        await recordFailure(breaker, new Error(`HTTP ${response.status}`));
+      } else {
+        await recordSuccess(breaker);
       }
+      incrementCounter('skio_upstream_requests_total', { outcome: response.status >= 500 ? 'http_5xx' : 'ok' });
       
       return response;
     } catch (error) {
       lastError = error;
+      const outcome = error.name === 'AbortError' ? 'timeout' : 'error';
+      incrementCounter('skio_upstream_attempts_total', { outcome });
       
       // Don't retry on abort (timeout) if we've exhausted retries
       if (error.name === 'AbortError') {
-        console.log(`⏱️ Request timed out (attempt ${attempt + 1}/${maxRetries + 1})`);
+        logger.warn('Skio request timed out', { attempt: attempt + 1, attempts: maxRetries + 1, timeoutMs });
         if (attempt >= maxRetries) {
-          recordFailure();
+          await recordFailure(breaker, error);
+          incrementCounter('skio_upstream_requests_total', { outcome });
           throw error;
         }
         continue;
@@ -255,16 +274,18 @@ async function fetchWithRetry(url, options, {
       
       // Network errors - retry
       if (attempt < maxRetries) {
-        console.log(`⚠️ Network error: ${error.message}, will retry...`);
+        logger.warn('Skio network error, will retry', { error: error.message, attempt: attempt + 1 });
         continue;
       }
       
-      recordFailure();
+      await recordFailure(breaker, error);
+      incrementCounter('skio_upstream_requests_total', { outcome });
       throw error;
     }
   }
   
-  recordFailure();
+  await recordFailure(breaker, lastError);
+  incrementCounter('skio_upstream_requests_total', { outcome: 'error' });
   throw lastError;
 }
 
@@ -276,7 +297,7 @@ function getOrCreateInflightRequest(key, requestFn) {
   // Check if there's already an in-flight request for this key
   const existing = inFlightRequests.get(key);
   if (existing && (Date.now() - existing.timestamp) < CONFIG.DEDUP_WINDOW_MS) {
-    console.log(`🔗 Deduplicating request for ${key}`);
+    logger.debug('Deduplicating in-flight request', { key });
     return existing.promise;
   }
   
@@ -299,12 +320,24 @@ function getOrCreateInflightRequest(key, requestFn) {
 // STALE-WHILE-REVALIDATE CACHE
 // Returns stale data immediately while refreshing in background
 // ═══════════════════════════════════════════════════════════════
+// Every X-Cache outcome is also counted for /api/metrics
+function setCacheStatus(res, status) {
+  res.setHeader('X-Cache', status);
+  incrementCounter('skio_cache_requests_total', { outcome: status });
+}
+
 async function getWithSWR(cacheKey, fetchFn, options = {}) {
   const {
     freshTTL = CONFIG.CACHE_TTL_SECONDS,
-    staleTTL = CONFIG.STALE_TTL_SECONDS
+    staleTTL = CONFIG.STALE_TTL_SECONDS,
+    onStore = null // Called with the cache key after each successful write
   } = options;
   
+  const storeFresh = async (freshData) => {
+    await kv.set(cacheKey, { ...freshData, cached: true, cachedAt: Date.now() }, { ex: staleTTL });
+    if (onStore) await onStore(cacheKey, staleTTL);
+  };
+  
   if (!kv) {
     // No cache available, just fetch
     return { data: await fetchFn(), cacheStatus: 'BYPASS' };
@@ -323,17 +356,17 @@ async function getWithSWR(cacheKey, fetchFn, options = {}) {
       
       if (age < staleTTL) {
         // Stale cache - return immediately but revalidate in background
-        console.log(`📦 Serving stale cache (${Math.round(age)}s old), revalidating...`);
+        logger.info('Serving stale cache, revalidating', { ageSeconds: Math.round(age) });
         
         // Fire-and-forget background revalidation
         fetchFn()
           .then(freshData => {
             if (freshData) {
-              kv.set(cacheKey, { ...freshData, cached: true, cachedAt: Date.now() }, { ex: staleTTL })
-                .catch(e => console.warn('Background cache update failed:', e.message));
+              storeFresh(freshData)
+                .catch(e => logger.warn('Background cache update failed', { error: e.message }));
             }
           })
-          .catch(e => console.warn('Background revalidation failed:', e.message));
+          .catch(e => logger.warn('Background revalidation failed', { error: e.message }));
         
         return { data: cached, cacheStatus: 'STALE' };
       }
@@ -344,14 +377,14 @@ async function getWithSWR(cacheKey, fetchFn, options = {}) {
     
     // Cache the result (fire-and-forget)
     if (freshData) {
-      kv.set(cacheKey, { ...freshData, cached: true, cachedAt: Date.now() }, { ex: staleTTL })
-        .catch(e => console.warn('Cache set failed:', e.message));
+      storeFresh(freshData)
+        .catch(e => logger.warn('Cache set failed', { error: e.message }));
     }
     
     return { data: freshData, cacheStatus: 'MISS' };
     
   } catch (cacheError) {
-    console.warn('Cache operation failed:', cacheError.message);
+    logger.warn('Cache operation failed', { error: cacheError.message });
     // Fallback to direct fetch
     return { data: await fetchFn(), cacheStatus: 'ERROR' };
   }
@@ -361,29 +394,24 @@ async function getWithSWR(cacheKey, fetchFn, options = {}) {
 // MAIN HANDLER
 // ═══════════════════════════════════════════════════════════════
 export default async function handler(req, res) {
+  // Every log line from this request carries its ID, which is also sent as X-Request-Id
+  return withRequestContext(req, res, () => handleRequest(req, res));
+}
+
+async function handleRequest(req, res) {
   const startTime = Date.now();
   
   // ─────────────────────────────────────────────
   // CORS
   // ─────────────────────────────────────────────
-  const origin = req.headers.origin;
-  if (origin && CONFIG.ALLOWED_ORIGINS.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else if (origin) {
-    console.warn('Request from unlisted origin:', origin);
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  // Unlisted origins are rejected here (allowlist is editable from the admin page)
+  const corsAllowed = await applyCors(req, res, {
+    methods: 'POST, GET, OPTIONS',
+    headers: 'Content-Type, X-Customer-Token, X-Request-Id, Idempotency-Key',
+    exposeHeaders: 'X-Request-Id, X-Cache, Content-Disposition',
+    credentials: true
+  });
+  if (!corsAllowed) return;
   
   // ─────────────────────────────────────────────
   // HEALTH CHECK ENDPOINT
@@ -393,12 +421,23 @@ export default async function handler(req, res) {
     // Formula: (timeout + delay) * attempts, with buffer
     const maxRequestMs = (CONFIG.API_TIMEOUT_MS + CONFIG.SKIO_RETRY_DELAY_MS) * (CONFIG.SKIO_RETRY_COUNT + 1);
     
+    let circuitBreaker;
+    try {
+      circuitBreaker = await getCircuitState();
+    } catch (e) {
+      logger.warn('Circuit breaker state unavailable', { error: e.message });
+      circuitBreaker = { state: 'unknown', error: e.message };
+    }
+
     const health = {
       status: 'ok',
       timestamp: new Date().toISOString(),
-      circuitBreaker: circuitBreaker.isOpen ? 'open' : 'closed',
+      circuitBreaker,
       cacheAvailable: !!kv,
+      keyHashingAvailable: isKeyHashingAvailable(),
+      customerIdentityAvailable: isCustomerIdentityAvailable(),
       inFlightRequests: inFlightRequests.size,
+      operations: listOperations(),
       // Expose timing config so clients can set appropriate timeouts
       config: {
         maxRequestMs,
@@ -412,6 +451,18 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Every action keys KV by customer; without the pepper those keys would expose emails
+  if (!isKeyHashingAvailable()) {
+    logger.error('KV_KEY_PEPPER not configured; refusing customer requests');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  // Without the secret no request can prove whose email it sends
+  if (!isCustomerIdentityAvailable()) {
+    logger.error('CUSTOMER_TOKEN_SECRET not configured; refusing customer requests');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
   // ─────────────────────────────────────────────
   // ROUTE BASED ON ACTION
   // ─────────────────────────────────────────────
@@ -422,6 +473,14 @@ export default async function handler(req, res) {
     
     if (action === 'reserve-class') {
       result = await handleClassReservation(req, res);
+    } else if (action === 'cancel-reservation') {
+      result = await handleReservationCancel(req, res);
+    } else if (action === 'reschedule-reservation') {
+      result = await handleReservationReschedule(req, res);
+    } else if (action === 'calendar-invite') {
+      result = await handleCalendarInvite(req, res);
+    } else if (action === 'check-eligibility') {
+      result = await handleEligibilityCheck(req, res);
     } else {
       result = await handleSkioQuery(req, res);
     }
@@ -431,9 +490,12 @@ export default async function handler(req, res) {
     return result;
     
   } catch (error) {
-    console.error('Unhandled error:', error);
+    logger.error('Unhandled error', { error });
     res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
     return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    logger.info('Request complete', { action: action || 'lookup', status: res.statusCode, durationMs: Date.now() - startTime });
+    await flushMetrics();
   }
 }
 
@@ -441,6 +503,16 @@ export default async function handler(req, res) {
 // SKIO SUBSCRIPTION CHECK
 // ═══════════════════════════════════════════════════════════════
 async function handleSkioQuery(req, res) {
+  // Only registered, read-only operations are ever sent upstream with our API key.
+  const { operation, error: operationError } = resolveOperation(req.body || {});
+  if (!operation) {
+    logger.warn('Rejected Skio operation', { reason: operationError });
+    return res.status(403).json({
+      error: 'Operation not allowed',
+      message: operationError
+    });
+  }
+
   const email = extractEmail(req.body);
   if (!email) {
     return res.status(400).json({
@@ -451,10 +523,13 @@ async function handleSkioQuery(req, res) {
 
   // IMPORTANT: Normalize email to lowercase for consistent matching
   const emailLower = normalizeEmail(email);
-  const emailHash = hashString(emailLower);
-  const cacheKey = `skio:sub:${emailHash}`;
-  const rateLimitKey = `skio:rl:${emailHash}`;
-  const dedupKey = `skio:${emailHash}`;
+  if (!ensureCustomerIdentity(req, res, emailLower)) return;
+
+  // Cache and dedup per operation + variables so different queries never share payloads
+  const variables = { ...pickOperationVariables(operation, req.body.variables), email: emailLower };
+  const cacheKey = subscriptionCacheKey(emailLower, operation, variables);
+  const rateLimitKey = customerKey('skio:rl', emailLower);
+  const dedupKey = cacheKey;
 
   // ─────────────────────────────────────────────
   // RATE LIMITING (if KV available)
@@ -468,7 +543,7 @@ async function handleSkioQuery(req, res) {
         kv.expire(rateLimitKey, CONFIG.RATE_LIMIT_WINDOW).catch(() => {});
       }
     } catch (e) {
-      console.warn('Rate limit check failed:', e.message);
+      logger.warn('Rate limit check failed', { error: e.message });
     }
   }
 
@@ -478,12 +553,12 @@ async function handleSkioQuery(req, res) {
   
   // Check rate limit
   if (rateLimitCount > CONFIG.RATE_LIMIT_MAX) {
+    incrementCounter('skio_rate_limited_total', { action: 'lookup' });
     return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: CONFIG.RATE_LIMIT_WINDOW });
   }
 
   // Manual exception rules override normal subscription lookup.
-  const exceptionRules = await getExceptionRules();
-  const exceptionRule = getActiveExceptionRule(exceptionRules, emailLower);
+  const exceptionRule = await getActiveExceptionRule(emailLower);
   if (exceptionRule) {
     const cadenceWeeks = Number.parseInt(exceptionRule.cadenceWeeks, 10);
     const safeCadenceWeeks = Number.isFinite(cadenceWeeks) && cadenceWeeks > 0 ? cadenceWeeks : 4;
@@ -492,7 +567,7 @@ async function handleSkioQuery(req, res) {
       ? { data: { Subscriptions: [] } }
       : buildSyntheticSubscriberResponse(safeCadenceWeeks);
 
-    res.setHeader('X-Cache', 'BYPASS-EXCEPTION');
+    setCacheStatus(res, 'BYPASS-EXCEPTION');
     res.setHeader('X-Exception-Rule', action);
     return res.status(200).json(exceptionResponse);
   }
@@ -500,17 +575,17 @@ async function handleSkioQuery(req, res) {
   // ─────────────────────────────────────────────
   // CHECK CIRCUIT BREAKER - Return stale cache if open
   // ─────────────────────────────────────────────
-  if (circuitBreaker.isOpen && kv) {
+  if (getLastKnownCircuitState() === 'open' && kv) {
     try {
       const staleCache = await kv.get(cacheKey);
       if (staleCache) {
-        console.log('🔌 Circuit breaker open - serving stale cache');
-        res.setHeader('X-Cache', 'STALE-CIRCUIT-OPEN');
+        logger.info('Circuit breaker open, serving stale cache');
+        setCacheStatus(res, 'STALE-CIRCUIT-OPEN');
         res.setHeader('X-Circuit-Breaker', 'open');
         return res.status(200).json(staleCache);
       }
     } catch (e) {
-      console.warn('Stale cache fetch failed:', e.message);
+      logger.warn('Stale cache fetch failed', { error: e.message });
     }
   }
 
@@ -519,19 +594,16 @@ async function handleSkioQuery(req, res) {
   // ─────────────────────────────────────────────
   const apiKey = process.env.SKIO_API_KEY;
   if (!apiKey) {
-    console.error('SKIO_API_KEY not configured');
+    logger.error('SKIO_API_KEY not configured');
     return res.status(500).json({ error: 'Server configuration error' });
   }
 
-  // Normalize the request body
-  const normalizedBody = { ...req.body };
-  if (normalizedBody.variables?.email) {
-    normalizedBody.variables = { ...normalizedBody.variables, email: emailLower };
-  }
+  // Forward the registered document, never the client's text
+  const normalizedBody = { query: operation.query, variables };
 
   // Create the fetch function
   const fetchSkio = async () => {
-    console.log('🔄 Calling Skio API for:', emailLower);
+    logger.info('Calling Skio API', { email: emailLower, operation: operation.id });
     const startTime = Date.now();
     
     const skioResponse = await fetchWithRetry(CONFIG.SKIO_GRAPHQL_URL, {
@@ -544,12 +616,12 @@ async function handleSkioQuery(req, res) {
     });
 
     const elapsed = Date.now() - startTime;
-    console.log(`⏱️ Skio API responded in ${elapsed}ms with status ${skioResponse.status}`);
+    logger.info('Skio API responded', { elapsedMs: elapsed, status: skioResponse.status });
 
     const data = await skioResponse.json();
     
     if (data.errors) {
-      console.error('❌ Skio GraphQL errors:', JSON.stringify(data.errors));
+      logger.error('Skio GraphQL errors', { errors: data.errors });
     }
     
     return data;
@@ -558,11 +630,13 @@ async function handleSkioQuery(req, res) {
   try {
     // Use request deduplication to prevent thundering herd
     const { data, cacheStatus } = await getOrCreateInflightRequest(dedupKey, async () => {
-      return getWithSWR(cacheKey, fetchSkio);
+      return getWithSWR(cacheKey, fetchSkio, {
+        onStore: (key, ttl) => trackSubscriptionCacheKey(emailLower, key, ttl)
+      });
     });
 
-    res.setHeader('X-Cache', cacheStatus);
-    res.setHeader('X-Circuit-Breaker', circuitBreaker.isOpen ? 'open' : 'closed');
+    setCacheStatus(res, cacheStatus);
+    res.setHeader('X-Circuit-Breaker', getLastKnownCircuitState());
     
     return res.status(200).json(data);
     
@@ -574,37 +648,190 @@ async function handleSkioQuery(req, res) {
       try {
         const staleCache = await kv.get(cacheKey);
         if (staleCache) {
-          console.log('⚠️ Skio API failed, serving stale cache');
-          res.setHeader('X-Cache', 'STALE-ERROR');
-          res.setHeader('X-Circuit-Breaker', circuitBreaker.isOpen ? 'open' : 'closed');
+          logger.warn('Skio API failed, serving stale cache', { error: error.message });
+          setCacheStatus(res, error instanceof CircuitOpenError ? 'STALE-CIRCUIT-OPEN' : 'STALE-ERROR');
+          res.setHeader('X-Circuit-Breaker', getLastKnownCircuitState());
           return res.status(200).json(staleCache);
         }
       } catch (e) {
-        console.warn('Stale cache fetch failed:', e.message);
+        logger.warn('Stale cache fetch failed', { error: e.message });
       }
     }
     
     if (error.name === 'AbortError') {
-      console.error('Skio API timeout after', CONFIG.API_TIMEOUT_MS, 'ms');
+      logger.error('Skio API timeout', { timeoutMs: CONFIG.API_TIMEOUT_MS });
       return res.status(504).json({ 
         error: 'Upstream timeout',
         message: 'The subscription service is temporarily slow. Please try again.'
       });
     }
     
-    if (error.message?.includes('Circuit breaker')) {
+    if (error instanceof CircuitOpenError) {
       return res.status(503).json({
         error: 'Service temporarily unavailable',
         message: 'The subscription service is temporarily unavailable. Please try again shortly.',
-        retryAfter: Math.ceil(CONFIG.CIRCUIT_BREAKER_RESET_MS / 1000)
+        retryAfter: Math.ceil(CIRCUIT_BREAKER_RESET_MS / 1000)
       });
     }
     
-    console.error('Skio API error:', error.name, error.message, error.stack);
+    logger.error('Skio API error', { error });
     return res.status(502).json({ error: 'Upstream error', details: error.message });
   }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// VERIFICATION RESPONSES
+// A failed Skio lookup is "try again", never "you're not a subscriber".
+// ═══════════════════════════════════════════════════════════════
+const DENIAL_MESSAGES = {
+  [ELIGIBILITY_CODES.NO_SUBSCRIPTION]: 'Live sessions are reserved for IM8 Quarterly subscribers.',
+  [ELIGIBILITY_CODES.INACTIVE]: 'Your subscription is not active. Reactivate it to reserve live sessions.',
+  [ELIGIBILITY_CODES.INELIGIBLE_CADENCE]: 'Live sessions are reserved for IM8 Quarterly subscribers. Switch your delivery schedule to join.',
+  [ELIGIBILITY_CODES.INELIGIBLE_PRODUCT]: 'Your subscription does not include live sessions.',
+  [ELIGIBILITY_CODES.RULE_DENY]: 'Live sessions are not available for this account. Please contact support.'
+};
+
+function sendVerificationUnavailable(res) {
+  return res.status(503).json({
+    error: 'Service temporarily unavailable',
+    code: ELIGIBILITY_CODES.UPSTREAM_UNAVAILABLE,
+    message: 'We could not verify your subscription right now. Please try again shortly.',
+    retryAfter: Math.ceil(CIRCUIT_BREAKER_RESET_MS / 1000)
+  });
+}
+
+function sendSubscriptionRequired(res, code) {
+  return res.status(403).json({
+    error: 'Subscription required',
+    code,
+    message: DENIAL_MESSAGES[code] || DENIAL_MESSAGES[ELIGIBILITY_CODES.NO_SUBSCRIPTION],
+    isSubscriber: false
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STOREFRONT ELIGIBILITY CHECK
+// Same verdict as the reservation gate, so the theme never re-implements the policy.
+// ═══════════════════════════════════════════════════════════════
+async function handleEligibilityCheck(req, res) {
+  const email = req.body?.email || req.body?.variables?.email;
+  if (!email) {
+    return res.status(400).json({ error: 'Email required' });
+  }
+
+  const emailLower = normalizeEmail(email);
+  if (!ensureCustomerIdentity(req, res, emailLower)) return;
+
+  if (kv) {
+    const rateLimitKey = customerKey('skio:rl', emailLower);
+    try {
+      const count = await kv.incr(rateLimitKey);
+      if (count === 1) {
+        kv.expire(rateLimitKey, CONFIG.RATE_LIMIT_WINDOW).catch(() => {});
+      }
+      if (count > CONFIG.RATE_LIMIT_MAX) {
+        incrementCounter('skio_rate_limited_total', { action: 'check-eligibility' });
+        return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: CONFIG.RATE_LIMIT_WINDOW });
+      }
+    } catch (e) {
+      logger.warn('Rate limit check failed', { error: e.message });
+    }
+  }
+
+  const verification = await verifySubscriptionEligibility(emailLower);
+  incrementCounter('skio_verifications_total', { action: 'check-eligibility', source: verification.source, code: verification.code });
+  if (verification.source === 'error') {
+    return sendVerificationUnavailable(res);
+  }
+  return res.status(200).json({ eligible: verification.eligible, isSubscriber: verification.eligible, code: verification.code });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RESERVATION RECORDS
+// A customer holds at most one reservation per session (lib/reservations.js).
+// ═══════════════════════════════════════════════════════════════
+// `calendar` (with the .ics text) is only sent for sessions the theme gave a start time
+function calendarFields(record) {
+  const calendar = buildReservationCalendar(record);
+  return calendar ? { calendar } : {};
+}
+
+function sendReservationConfirmed(res, reservation, { replayed = false } = {}) {
+  return res.status(200).json({
+    success: true,
+    message: 'Reservation confirmed',
+    isSubscriber: true,
+    reservedAt: reservation.reservedAt,
+    ...(reservation.id && { reservationId: reservation.id }),
+    ...calendarFields(reservation),
+    ...(replayed && { replayed: true })
+  });
+}
+
+// Full session: 202 with success false, so a theme that only checks `success` won't confirm it
+function sendWaitlisted(res, reservation, position, { replayed = false } = {}) {
+  return res.status(202).json({
+    success: false,
+    waitlisted: true,
+    status: 'waitlisted',
+    message: "This session is full. You're on the waitlist and we'll email you if a seat opens up.",
+    isSubscriber: true,
+    waitlistedAt: reservation.waitlistedAt,
+    position,
+    ...(reservation.id && { reservationId: reservation.id }),
+    ...(replayed && { replayed: true })
+  });
+}
+
+function sendReservationUnavailable(res) {
+  return res.status(503).json({ error: 'Reservation unavailable', message: 'Please try again in a moment.', retryAfter: 5 });
+}
+
+// Reserving, cancelling and rescheduling share one budget per customer. Returns false
+// once it has answered 429.
+async function checkReservationRateLimit(res, emailLower, action) {
+  if (!kv) return true;
+
+  const rateLimitKey = customerKey('reserve:rl', emailLower);
+  try {
+    const count = await kv.incr(rateLimitKey);
+    // Fire-and-forget expire (don't await)
+    if (count === 1) {
+      kv.expire(rateLimitKey, 300).catch(() => {}); // 5 minute window
+    }
+    if (count > 5) { // Only 5 reservation attempts per 5 minutes
+      incrementCounter('skio_rate_limited_total', { action });
+      res.status(429).json({
+        error: 'Too many reservation attempts',
+        message: 'Please wait a few minutes before trying again'
+      });
+      return false;
+    }
+  } catch (e) {
+    logger.warn('Rate limit check failed', { error: e.message });
+  }
+  return true;
+}
+
+// Repeat of a finished reservation gets the original answer; one still running gets 409
+async function sendExistingReservation(res, existing) {
+  if (existing.status === 'reserved') {
+    logger.info('Returning existing reservation', { sessionId: existing.sessionId, reservationId: existing.id });
+    incrementCounter('skio_reservations_total', { result: 'replayed', code: existing.code });
+    return sendReservationConfirmed(res, existing, { replayed: true });
+  }
+  if (existing.status === 'waitlisted') {
+    const position = await getWaitlistPosition(existing.email, existing.sessionId)
+      .catch(e => logger.warn('Waitlist position lookup failed', { error: e.message }));
+    incrementCounter('skio_reservations_total', { result: 'replayed', code: existing.code });
+    return sendWaitlisted(res, existing, position || null, { replayed: true });
+  }
+  return res.status(409).json({
+    error: 'Reservation in progress',
+    message: 'Your reservation is already being processed. Please wait a moment and try again.'
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════
 // CLASS RESERVATION (Server-side gated)
 // ═══════════════════════════════════════════════════════════════
@@ -616,65 +843,132 @@ async function handleClassReservation(req, res) {
   }
 
   const emailLower = normalizeEmail(email);
-  const emailHash = hashString(emailLower);
+  if (!ensureCustomerIdentity(req, res, emailLower)) return;
+
+  const sessionId = resolveSessionId(moduleData);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Invalid session', message: 'moduleData.sessionId may only contain letters, digits, ".", "_", ":" and "-"' });
+  }
+
+  const { schedule, error: scheduleError } = parseSessionSchedule(moduleData, locationData?.timezone);
+  if (scheduleError) {
+    return res.status(400).json({ error: 'Invalid session schedule', message: scheduleError });
+  }
+
+  const idempotencyKey = getIdempotencyKeyFromRequest(req);
+  if (idempotencyKey && !isValidIdempotencyKey(idempotencyKey)) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key', message: 'Use 8-128 letters, digits, ".", "_", ":" or "-"' });
+  }
 
   // ─────────────────────────────────────────────
-  // RATE LIMIT (stricter for reservations) - if KV available
+  // REPEAT REQUESTS (double-clicks, client retries)
   // ─────────────────────────────────────────────
-  if (kv) {
-    const rateLimitKey = `reserve:rl:${emailHash}`;
+  if (isReservationStoreAvailable()) {
     try {
-      const count = await kv.incr(rateLimitKey);
-      // Fire-and-forget expire (don't await)
-      if (count === 1) {
-        kv.expire(rateLimitKey, 300).catch(() => {}); // 5 minute window
-      }
-      if (count > 5) { // Only 5 reservation attempts per 5 minutes
-        return res.status(429).json({ 
-          error: 'Too many reservation attempts',
-          message: 'Please wait a few minutes before trying again'
-        });
+      if (idempotencyKey) {
+        const previousSessionId = await findIdempotentSession(emailLower, idempotencyKey);
+        if (previousSessionId && previousSessionId !== sessionId) {
+          return res.status(422).json({
+            error: 'Idempotency-Key reused',
+            message: 'This Idempotency-Key was already used to reserve a different session'
+          });
+        }
       }
+      const existing = await getReservation(emailLower, sessionId);
+      if (isActiveReservation(existing)) return sendExistingReservation(res, existing);
     } catch (e) {
-      console.warn('Rate limit check failed:', e.message);
+      logger.warn('Reservation lookup failed', { error: e.message });
     }
   }
 
+  // ─────────────────────────────────────────────
+  // RATE LIMIT (stricter for reservations) - if KV available
+  // ─────────────────────────────────────────────
+  if (!(await checkReservationRateLimit(res, emailLower, 'reserve-class'))) return;
+
   // ─────────────────────────────────────────────
   // 🔒 CRITICAL: SERVER-SIDE SUBSCRIPTION VERIFICATION
   // ─────────────────────────────────────────────
-  const hasQuarterly = await verifyQuarterlySubscription(emailLower);
-  
-  if (!hasQuarterly) {
-    console.log(`🚫 Class reservation BLOCKED: ${emailLower} - not a quarterly subscriber`);
-    return res.status(403).json({
-      error: 'Subscription required',
-      message: 'Live sessions are reserved for IM8 Quarterly subscribers.',
-      isSubscriber: false
-    });
+  const verification = await verifySubscriptionEligibility(emailLower);
+  incrementCounter('skio_verifications_total', { action: 'reserve-class', source: verification.source, code: verification.code });
+
+  if (verification.source === 'error') {
+    logger.warn('Class reservation not verified', { email: emailLower, reason: verification.reason });
+    incrementCounter('skio_reservations_total', { result: 'unavailable', code: verification.code });
+    return sendVerificationUnavailable(res);
   }
 
-  console.log(`✅ Class reservation APPROVED: ${emailLower} - verified quarterly subscriber`);
+  if (!verification.eligible) {
+    logger.info('Class reservation blocked', { email: emailLower, code: verification.code });
+    incrementCounter('skio_reservations_total', { result: 'denied', code: verification.code });
+    return sendSubscriptionRequired(res, verification.code);
+  }
+
+  logger.info('Class reservation approved', { email: emailLower, code: verification.code });
+  incrementCounter('skio_reservations_total', { result: 'approved', code: verification.code });
 
   // ─────────────────────────────────────────────
   // SUBMIT TO KLAVIYO (server-side)
   // ─────────────────────────────────────────────
-  const klaviyoApiKey = process.env.KLAVIYO_PRIVATE_KEY;
-  if (!klaviyoApiKey) {
-    console.error('KLAVIYO_PRIVATE_KEY not configured');
+  if (!getKlaviyoApiKey()) {
+    logger.error('KLAVIYO_PRIVATE_KEY not configured');
     return res.status(500).json({ error: 'Server configuration error' });
   }
 
   const timestamp = new Date().toISOString();
   const klaviyoListId = process.env.KLAVIYO_90DAY_LIST_ID || 'Xnm4ac';
-  
-  // Shared Klaviyo headers
-  const klaviyoHeaders = {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json',
-    'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
-    'revision': CONFIG.KLAVIYO_REVISION
-  };
+
+  // Hold the session before anything is sent, so a concurrent duplicate can't send it twice
+  let reservation = null;
+  if (isReservationStoreAvailable()) {
+    try {
+      reservation = await claimReservation(emailLower, sessionId, {
+        firstName: firstName || '',
+        lastName: lastName || '',
+        moduleIndex: moduleData?.moduleIndex || '1',
+        moduleLabel: moduleData?.moduleLabel || '',
+        sessionTitle: moduleData?.sessionTitle || '',
+        expertName: moduleData?.expertName || '',
+        expertRole: moduleData?.expertRole || '',
+        dateText: moduleData?.dateText || '',
+        ...schedule,
+        source: verification.source,
+        code: verification.code,
+        reservedAt: timestamp
+      });
+      if (!reservation) {
+        const existing = await getReservation(emailLower, sessionId);
+        if (isActiveReservation(existing)) return sendExistingReservation(res, existing);
+      }
+    } catch (e) {
+      logger.error('Reservation claim failed', { error: e.message });
+    }
+    // Without a claim there's no seat to count, and sessions have a hard cap
+    if (!reservation) return sendReservationUnavailable(res);
+  }
+
+  // ─────────────────────────────────────────────
+  // SEAT (sessions with a capacity; full sessions waitlist)
+  // ─────────────────────────────────────────────
+  let seat = { seated: true };
+  if (reservation) {
+    try {
+      seat = await takeSeat(emailLower, sessionId);
+    } catch (e) {
+      // Sessions have a hard cap, so don't guess when seats can't be counted
+      logger.error('Seat check failed', { error: e.message });
+      await releaseReservationClaim(emailLower, sessionId)
+        .catch(err => logger.warn('Reservation claim release failed', { error: err.message }));
+      return sendReservationUnavailable(res);
+    }
+  }
+  const waitlisted = !seat.seated;
+  if (waitlisted) {
+    reservation.waitlistedAt = timestamp;
+    reservation.reservedAt = null;
+    logger.info('Session full, customer waitlisted', { email: emailLower, sessionId, position: seat.position });
+    incrementCounter('skio_reservations_total', { result: 'waitlisted', code: verification.code });
+  }
 
   try {
     // ─────────────────────────────────────────────
@@ -699,41 +993,40 @@ async function handleClassReservation(req, res) {
             }
           }),
           properties: {
-            '90_day_class_reserved': true,
-            '90_day_class_reserved_at': timestamp,
+            ...(waitlisted
+              ? { '90_day_class_waitlisted': true, '90_day_class_waitlisted_at': timestamp }
+              : { '90_day_class_reserved': true, '90_day_class_reserved_at': timestamp }),
             '90_day_class_module': moduleData?.moduleIndex || '1',
             '90_day_class_module_label': moduleData?.moduleLabel || '',
             '90_day_class_session_title': moduleData?.sessionTitle || '',
             '90_day_class_expert': moduleData?.expertName || '',
             '90_day_class_date': moduleData?.dateText || '',
+            ...(schedule.startsAt && { '90_day_class_starts_at': schedule.startsAt }),
+            ...(schedule.joinUrl && { '90_day_class_join_url': schedule.joinUrl }),
             'subscription_verified_server_side': true
           }
         }
       }
     };
 
-    console.log('📤 Creating/updating Klaviyo profile...');
+    logger.debug('Creating/updating Klaviyo profile');
     
-    const profileResponse = await fetchWithTimeout(`${CONFIG.KLAVIYO_API_URL}/profiles/`, {
-      method: 'POST',
-      headers: klaviyoHeaders,
-      body: JSON.stringify(profilePayload)
-    });
+    const profileResult = await callKlaviyo('profile', profilePayload);
+    const profileResponse = profileResult.response;
 
-    if (profileResponse.ok) {
+    if (profileResponse?.ok) {
       const profileData = await profileResponse.json();
-      console.log('✅ Profile created, ID:', profileData.data?.id);
-    } else if (profileResponse.status === 409) {
-      console.log('ℹ️ Profile already exists');
+      logger.info('Klaviyo profile created', { profileId: profileData.data?.id });
+    } else if (profileResponse?.status === 409) {
+      logger.info('Klaviyo profile already exists');
     } else {
-      const errorText = await profileResponse.text();
-      console.error('⚠️ Profile creation warning:', profileResponse.status, errorText);
+      logger.warn('Klaviyo profile creation failed', { status: profileResponse?.status, error: profileResult.error?.message });
     }
 
     // ─────────────────────────────────────────────
     // STEP 2 & 3: Subscribe to List + Track Event (PARALLEL)
     // ─────────────────────────────────────────────
-    console.log('📤 Adding to list + tracking event in parallel...');
+    logger.debug('Adding to list and tracking event');
     
     const subscribePayload = {
       data: {
@@ -766,7 +1059,7 @@ async function handleClassReservation(req, res) {
           metric: {
             data: {
               type: 'metric',
-              attributes: { name: '90 Day Class Reserved' }
+              attributes: { name: waitlisted ? '90 Day Class Waitlisted' : '90 Day Class Reserved' }
             }
           },
           profile: {
@@ -782,192 +1075,558 @@ async function handleClassReservation(req, res) {
             expert_name: moduleData?.expertName || '',
             expert_role: moduleData?.expertRole || '',
             session_date: moduleData?.dateText || '',
-            reserved_at: timestamp,
+            session_id: sessionId,
+            ...(schedule.startsAt && {
+              session_starts_at: schedule.startsAt,
+              session_duration_minutes: schedule.durationMinutes
+            }),
+            ...(schedule.joinUrl && { join_url: schedule.joinUrl }),
+            ...(waitlisted
+              ? { waitlisted_at: timestamp, waitlist_position: seat.position }
+              : { reserved_at: timestamp }),
             verified_server_side: true
           },
-          time: timestamp
+          time: timestamp,
+          // Klaviyo drops repeats of the same unique_id, so an outbox replay can't double-count
+          ...(reservation && { unique_id: `${waitlisted ? 'waitlisted' : 'reserved'}:${reservation.id}` })
         }
       }
     };
 
     // Run subscribe and event tracking in parallel
-    const [subscribeResponse, eventResponse] = await Promise.all([
-      fetchWithTimeout(`${CONFIG.KLAVIYO_API_URL}/profile-subscription-bulk-create-jobs/`, {
-        method: 'POST',
-        headers: klaviyoHeaders,
-        body: JSON.stringify(subscribePayload)
-      }).catch(e => ({ ok: false, error: e.message })),
-      
-      fetchWithTimeout(`${CONFIG.KLAVIYO_API_URL}/events/`, {
-        method: 'POST',
-        headers: klaviyoHeaders,
-        body: JSON.stringify(eventPayload)
-      }).catch(e => ({ ok: false, error: e.message }))
+    const [subscribeResult, eventResult] = await Promise.all([
+      callKlaviyo('subscribe', subscribePayload),
+      callKlaviyo('event', eventPayload)
     ]);
 
-    // Log results (non-blocking)
-    if (subscribeResponse.ok || subscribeResponse.status === 202) {
-      console.log('✅ Added to list');
+    if (subscribeResult.ok) {
+      logger.info('Added to Klaviyo list');
     } else {
-      console.warn('⚠️ List subscription warning:', subscribeResponse.status || subscribeResponse.error);
+      logger.warn('Klaviyo list subscription failed', { status: subscribeResult.response?.status, error: subscribeResult.error?.message });
     }
 
-    if (eventResponse.ok || eventResponse.status === 202) {
-      console.log('✅ Event tracked');
+    if (eventResult.ok) {
+      logger.info('Klaviyo event tracked');
     } else {
-      console.warn('⚠️ Event tracking warning:', eventResponse.status || eventResponse.error);
+      logger.warn('Klaviyo event tracking failed', { status: eventResult.response?.status, error: eventResult.error?.message });
     }
 
-    console.log('🎉 Class reservation complete for:', emailLower);
+    // The reservation stands either way; failed calls are retried from the outbox
+    const klaviyoOutcomes = await queueFailedKlaviyoCalls(emailLower, {
+      action: 'reserve-class',
+      sessionId,
+      ...(reservation && { reservationId: reservation.id })
+    }, [profileResult, subscribeResult, eventResult]);
 
-    return res.status(200).json({
-      success: true,
-      message: 'Reservation confirmed',
-      isSubscriber: true,
-      reservedAt: timestamp
-    });
+    if (reservation) {
+      reservation.klaviyo = klaviyoOutcomes;
+      try {
+        reservation = await saveReservation(reservation, { idempotencyKey, status: waitlisted ? 'waitlisted' : 'reserved' });
+      } catch (e) {
+        // Without a record the seat could never be cancelled, so give it back like any other failure
+        logger.error('Reservation record save failed', { error: e.message });
+        await releaseSeat(emailLower, sessionId)
+          .catch(err => logger.warn('Seat release failed', { error: err.message }));
+        await releaseReservationClaim(emailLower, sessionId)
+          .catch(err => logger.warn('Reservation claim release failed', { error: err.message }));
+        return sendReservationUnavailable(res);
+      }
+    }
+
+    if (waitlisted) {
+      // A seat may have opened for this customer while the record was still pending
+      const promoted = reservation?.status === 'waitlisted'
+        ? await settleWaitlisted(reservation).catch((e) => logger.warn('Waitlist settle failed', { error: e.message }))
+        : null;
+      if (promoted) return sendReservationConfirmed(res, promoted);
+      return sendWaitlisted(res, reservation, seat.position);
+    }
+
+    logger.info('Class reservation complete', { email: emailLower, sessionId, reservationId: reservation?.id });
+
+    return sendReservationConfirmed(res, reservation || { reservedAt: timestamp });
 
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error('❌ Klaviyo API timeout');
-      return res.status(504).json({ error: 'Upstream timeout during reservation' });
+    // Nothing was confirmed; give the seat back and let the customer try again straight away
+    if (reservation) {
+      await releaseSeat(emailLower, sessionId)
+        .catch(e => logger.warn('Seat release failed', { error: e.message }));
+      await releaseReservationClaim(emailLower, sessionId)
+        .catch(e => logger.warn('Reservation claim release failed', { error: e.message }));
     }
-    console.error('❌ Klaviyo submission error:', error.message);
+    logger.error('Klaviyo submission error', { error: error.message });
     return res.status(500).json({ error: 'Failed to complete reservation' });
   }
 }
 
 // ═══════════════════════════════════════════════════════════════
-// VERIFY QUARTERLY SUBSCRIPTION (server-side)
+// CANCEL / RESCHEDULE (Server-side gated)
+// Same identity check, rate limit and subscription gate as reserve-class. Records stay
+// in KV with their new status, and a freed seat goes to the session's waitlist.
 // ═══════════════════════════════════════════════════════════════
-async function verifyQuarterlySubscription(email) {
+function sendReservationNotFound(res) {
+  return res.status(404).json({
+    error: 'Reservation not found',
+    message: 'We could not find a reservation for this session.'
+  });
+}
+
+function sendReservationChanged(res) {
+  return res.status(409).json({
+    error: 'Reservation changed',
+    message: 'Your reservation was changed by another request. Please refresh and try again.'
+  });
+}
+
+function sendReservationCancelled(res, record, { replayed = false } = {}) {
+  return res.status(200).json({
+    success: true,
+    status: 'cancelled',
+    message: 'Reservation cancelled',
+    cancelledAt: record.cancelledAt,
+    reservationId: record.id,
+    ...calendarFields(record),
+    ...(replayed && { replayed: true })
+  });
+}
+
+function sendReservationRescheduled(res, record, { replayed = false } = {}) {
+  return res.status(200).json({
+    success: true,
+    status: 'reserved',
+    message: 'Reservation rescheduled',
+    sessionId: record.sessionId,
+    previousSessionId: record.rescheduledFrom,
+    reservedAt: record.reservedAt,
+    reservationId: record.id,
+    ...calendarFields(record),
+    ...(replayed && { replayed: true })
+  });
+}
+
+// Profile properties and event for a cancel or reschedule; failures go to the outbox
+async function sendReservationChangeToKlaviyo(emailLower, context, properties, event) {
+  const results = await Promise.all([
+    callKlaviyo('profile-import', buildProfileUpdatePayload(emailLower, properties)),
+    callKlaviyo('event', buildEventPayload(event.metric, emailLower, event.properties, { time: event.time, uniqueId: event.uniqueId }))
+  ]);
+  for (const { call, ok, response, error } of results) {
+    if (!ok) logger.warn('Klaviyo call failed', { call, status: response?.status, error: error?.message });
+  }
+  return queueFailedKlaviyoCalls(emailLower, context, results);
+}
+
+async function handleReservationCancel(req, res) {
+  const { email, moduleData } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email required' });
+  }
+
+  const emailLower = normalizeEmail(email);
+  if (!ensureCustomerIdentity(req, res, emailLower)) return;
+
+  const sessionId = resolveSessionId(moduleData);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Invalid session', message: 'moduleData.sessionId may only contain letters, digits, ".", "_", ":" and "-"' });
+  }
+
+  // Reservation records live in KV and need KV_KEY_PEPPER, so there is nothing to cancel without them
+  if (!isReservationStoreAvailable()) {
+    return res.status(503).json({ error: 'Reservation changes unavailable', message: 'Please contact support to cancel.' });
+  }
+
+  const record = await getReservation(emailLower, sessionId);
+  if (record?.status === 'cancelled') return sendReservationCancelled(res, record, { replayed: true });
+  if (!isActiveReservation(record)) return sendReservationNotFound(res);
+  if (record.status === 'pending') return sendExistingReservation(res, record);
+
+  if (!(await checkReservationRateLimit(res, emailLower, 'cancel-reservation'))) return;
+
+  const verification = await verifySubscriptionEligibility(emailLower);
+  incrementCounter('skio_verifications_total', { action: 'cancel-reservation', source: verification.source, code: verification.code });
+  if (verification.source === 'error') {
+    logger.warn('Reservation cancel not verified', { email: emailLower, reason: verification.reason });
+    return sendVerificationUnavailable(res);
+  }
+  if (!verification.eligible) {
+    logger.info('Reservation cancel blocked', { email: emailLower, code: verification.code });
+    return sendSubscriptionRequired(res, verification.code);
+  }
+
+  if (!getKlaviyoApiKey()) {
+    logger.error('KLAVIYO_PRIVATE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const timestamp = new Date().toISOString();
+  const cancelled = await updateReservation(record, {
+    status: 'cancelled',
+    cancelledAt: timestamp,
+    calendarSequence: (record.calendarSequence || 0) + 1
+  });
+  if (!cancelled) return sendReservationChanged(res);
+
+  // The record is already cancelled, so a failed release is logged rather than undone
+  const promoted = await releaseSeat(emailLower, sessionId).catch((e) => {
+    logger.error('Seat release failed', { sessionId, reservationId: record.id, error: e.message });
+    return [];
+  });
+  incrementCounter('skio_reservations_total', { result: 'cancelled', code: verification.code });
+
+  // The profile flags cover every session, so only clear the ones no other reservation still sets.
+  // If the other sessions can't be read, both are left as they are.
+  const remaining = await listCustomerReservations(emailLower)
+    .then((records) => records.filter((other) => other.sessionId !== sessionId && isActiveReservation(other)))
+    .catch((e) => {
+      logger.warn('Reservation lookup failed', { error: e.message });
+      return null;
+    });
+
+  const klaviyoOutcomes = await sendReservationChangeToKlaviyo(emailLower, {
+    action: 'cancel-reservation',
+    sessionId,
+    reservationId: record.id
+  }, {
+    ...(remaining && !remaining.some((other) => other.status !== 'waitlisted') && { '90_day_class_reserved': false }),
+    ...(remaining && !remaining.some((other) => other.status === 'waitlisted') && { '90_day_class_waitlisted': false }),
+    '90_day_class_cancelled_at': timestamp
+  }, {
+    metric: '90 Day Class Cancelled',
+    time: timestamp,
+    uniqueId: `cancelled:${record.id}`,
+    properties: {
+      ...reservationEventProperties(record),
+      previous_status: record.status,
+      cancelled_at: timestamp,
+      verified_server_side: true
+    }
+  });
+
+  // `klaviyo` tracks the calls for the record's latest change
+  await updateReservation(cancelled, { klaviyo: klaviyoOutcomes })
+    .catch(e => logger.warn('Reservation record save failed', { error: e.message }));
+
+  logger.info('Reservation cancelled', { email: emailLower, sessionId, reservationId: record.id, promoted: promoted.length });
+  return sendReservationCancelled(res, cancelled);
+}
+
+async function handleReservationReschedule(req, res) {
+  const { email, moduleData, newModuleData, locationData } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email required' });
+  }
+
+  const emailLower = normalizeEmail(email);
+  if (!ensureCustomerIdentity(req, res, emailLower)) return;
+
+  const fromSessionId = resolveSessionId(moduleData);
+  const toSessionId = newModuleData ? resolveSessionId(newModuleData) : null;
+  if (!fromSessionId || !toSessionId) {
+    return res.status(400).json({
+      error: 'Invalid session',
+      message: 'Send the current session as moduleData and the new one as newModuleData; session IDs may only contain letters, digits, ".", "_", ":" and "-"'
+    });
+  }
+  if (fromSessionId === toSessionId) {
+    return res.status(400).json({ error: 'Same session', message: 'Choose a different session to reschedule to.' });
+  }
+
+  if (!isReservationStoreAvailable()) {
+    return res.status(503).json({ error: 'Reservation changes unavailable', message: 'Please contact support to reschedule.' });
+  }
+
+  const current = await getReservation(emailLower, fromSessionId);
+  const { schedule, error: scheduleError } = parseSessionSchedule(
+    newModuleData,
+    locationData?.timezone || current?.timezone,
+    { field: 'newModuleData' }
+  );
+  if (scheduleError) {
+    return res.status(400).json({ error: 'Invalid session schedule', message: scheduleError });
+  }
+  if (current?.status === 'rescheduled' && current.rescheduledTo === toSessionId) {
+    // Retry of a reschedule that already went through
+    const moved = await getReservation(emailLower, toSessionId);
+    if (moved?.status === 'reserved') return sendReservationRescheduled(res, moved, { replayed: true });
+  }
+  if (!isActiveReservation(current)) return sendReservationNotFound(res);
+  if (current.status === 'pending') return sendExistingReservation(res, current);
+
+  if (!(await checkReservationRateLimit(res, emailLower, 'reschedule-reservation'))) return;
+
+  const verification = await verifySubscriptionEligibility(emailLower);
+  incrementCounter('skio_verifications_total', { action: 'reschedule-reservation', source: verification.source, code: verification.code });
+  if (verification.source === 'error') {
+    logger.warn('Reservation reschedule not verified', { email: emailLower, reason: verification.reason });
+    return sendVerificationUnavailable(res);
+  }
+  if (!verification.eligible) {
+    logger.info('Reservation reschedule blocked', { email: emailLower, code: verification.code });
+    return sendSubscriptionRequired(res, verification.code);
+  }
+
+  if (!getKlaviyoApiKey()) {
+    logger.error('KLAVIYO_PRIVATE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const timestamp = new Date().toISOString();
+  const reservation = await claimReservation(emailLower, toSessionId, {
+    firstName: current.firstName || '',
+    lastName: current.lastName || '',
+    moduleIndex: newModuleData.moduleIndex || '1',
+    moduleLabel: newModuleData.moduleLabel || '',
+    sessionTitle: newModuleData.sessionTitle || '',
+    expertName: newModuleData.expertName || '',
+    expertRole: newModuleData.expertRole || '',
+    dateText: newModuleData.dateText || '',
+    ...schedule,
+    // Same calendar event as the original reservation, one revision later
+    calendarUid: current.calendarUid || current.id,
+    calendarSequence: (current.calendarSequence || 0) + 1,
+    source: verification.source,
+    code: verification.code,
+    reservedAt: timestamp,
+    rescheduledFrom: fromSessionId
+  });
+  if (!reservation) {
+    return res.status(409).json({
+      error: 'Already reserved',
+      message: 'You already have a reservation for that session.'
+    });
+  }
+
+  // A reschedule never waitlists: the customer keeps their current seat instead
+  const releaseClaim = () => releaseReservationClaim(emailLower, toSessionId)
+    .catch(e => logger.warn('Reservation claim release failed', { error: e.message }));
+  let seat;
+  try {
+    seat = await takeSeat(emailLower, toSessionId, { waitlist: false });
+  } catch (e) {
+    logger.error('Seat check failed', { error: e.message });
+    await releaseClaim();
+    return res.status(503).json({ error: 'Reservation unavailable', message: 'Please try again in a moment.', retryAfter: 5 });
+  }
+  if (!seat.seated) {
+    await releaseClaim();
+    return res.status(409).json({
+      error: 'Session full',
+      code: 'SESSION_FULL',
+      message: 'That session is full. Your current reservation has not changed.'
+    });
+  }
+
+  const moved = await updateReservation(current, { status: 'rescheduled', rescheduledAt: timestamp, rescheduledTo: toSessionId });
+  if (!moved) {
+    await releaseSeat(emailLower, toSessionId).catch(e => logger.warn('Seat release failed', { error: e.message }));
+    await releaseClaim();
+    return sendReservationChanged(res);
+  }
+
+  let saved;
+  try {
+    saved = await saveReservation(reservation, { status: 'reserved' });
+  } catch (e) {
+    // Put the customer back in their current session and give up the new seat
+    logger.error('Reservation record save failed', { sessionId: toSessionId, reservationId: reservation.id, error: e.message });
+    // Undefined fields are dropped when the record is stored, so this writes `current` back
+    const restored = await updateReservation(moved, { status: current.status, rescheduledAt: undefined, rescheduledTo: undefined })
+      .catch(err => logger.error('Reservation restore failed', { sessionId: fromSessionId, reservationId: current.id, error: err.message }));
+    if (restored === null) logger.error('Reservation restore skipped, record changed', { sessionId: fromSessionId, reservationId: current.id });
+    await releaseSeat(emailLower, toSessionId).catch(err => logger.warn('Seat release failed', { error: err.message }));
+    await releaseClaim();
+    return sendReservationUnavailable(res);
+  }
+
+  const promoted = await releaseSeat(emailLower, fromSessionId).catch((e) => {
+    logger.error('Seat release failed', { sessionId: fromSessionId, reservationId: current.id, error: e.message });
+    return [];
+  });
+  incrementCounter('skio_reservations_total', { result: 'rescheduled', code: verification.code });
+
+  const klaviyoOutcomes = await sendReservationChangeToKlaviyo(emailLower, {
+    action: 'reschedule-reservation',
+    sessionId: toSessionId,
+    reservationId: reservation.id
+  }, {
+    '90_day_class_reserved': true,
+    '90_day_class_reserved_at': timestamp,
+    '90_day_class_waitlisted': false,
+    '90_day_class_rescheduled_at': timestamp,
+    '90_day_class_module': reservation.moduleIndex,
+    '90_day_class_module_label': reservation.moduleLabel,
+    '90_day_class_session_title': reservation.sessionTitle,
+    '90_day_class_expert': reservation.expertName,
+    '90_day_class_date': reservation.dateText,
+    '90_day_class_starts_at': reservation.startsAt || '',
+    '90_day_class_join_url': reservation.joinUrl || ''
+  }, {
+    metric: '90 Day Class Rescheduled',
+    time: timestamp,
+    uniqueId: `rescheduled:${reservation.id}`,
+    properties: {
+      ...reservationEventProperties(reservation),
+      previous_session_id: fromSessionId,
+      previous_session_title: current.sessionTitle || '',
+      previous_session_date: current.dateText || '',
+      rescheduled_at: timestamp,
+      verified_server_side: true
+    }
+  });
+
+  await updateReservation(saved, { klaviyo: klaviyoOutcomes })
+    .catch(e => logger.warn('Reservation record save failed', { error: e.message }));
+
+  logger.info('Reservation rescheduled', {
+    email: emailLower,
+    fromSessionId,
+    toSessionId,
+    reservationId: saved.id,
+    promoted: promoted.length
+  });
+  return sendReservationRescheduled(res, saved);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CALENDAR INVITE
+// The reservation's .ics as a download, for an "Add to calendar" button. A cancelled
+// reservation still has one, so re-importing it removes the event.
+// ═══════════════════════════════════════════════════════════════
+async function handleCalendarInvite(req, res) {
+  const { email, moduleData } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email required' });
+  }
+
+  const emailLower = normalizeEmail(email);
+  if (!ensureCustomerIdentity(req, res, emailLower)) return;
+
+  const sessionId = resolveSessionId(moduleData);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Invalid session', message: 'moduleData.sessionId may only contain letters, digits, ".", "_", ":" and "-"' });
+  }
+
+  if (!isReservationStoreAvailable()) {
+    return res.status(503).json({ error: 'Calendar invites unavailable', message: 'Please try again later.' });
+  }
+
+  const record = await getReservation(emailLower, sessionId);
+  const calendar = ['reserved', 'cancelled'].includes(record?.status) ? buildReservationCalendar(record) : null;
+  if (!calendar) {
+    return res.status(404).json({
+      error: 'Calendar invite not found',
+      message: 'There is no confirmed reservation with a scheduled time for this session.'
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${calendar.filename}"`);
+  return res.status(200).send(calendar.ics);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VERIFY ELIGIBILITY (server-side)
+// Exception rules first, then the KV eligibility policy (lib/eligibility.js).
+// Returns { eligible, code, reason, source }; source 'error' means Skio couldn't answer.
+// ═══════════════════════════════════════════════════════════════
+async function verifySubscriptionEligibility(email) {
   const apiKey = process.env.SKIO_API_KEY;
   if (!apiKey) {
-    console.error('SKIO_API_KEY not configured for verification');
-    return false;
+    logger.error('SKIO_API_KEY not configured for verification');
+    return { eligible: false, code: ELIGIBILITY_CODES.UPSTREAM_UNAVAILABLE, reason: 'Subscription service not configured', source: 'error' };
   }
 
   const emailLower = normalizeEmail(email);
-  const emailHash = hashString(emailLower);
-  const cacheKey = `skio:verify:${emailHash}`;
+  const cacheKey = verificationCacheKey(emailLower);
 
-  const exceptionRules = await getExceptionRules();
-  const exceptionRule = getActiveExceptionRule(exceptionRules, emailLower);
+  const exceptionRule = await getActiveExceptionRule(emailLower);
   if (exceptionRule) {
     const action = (exceptionRule.action || 'ALLOW').toUpperCase();
-    console.log(`📝 Manual exception matched for ${emailLower}: ${action}`);
-    return action !== 'DENY';
+    logger.info('Exception rule matched', { email: emailLower, action, matchType: exceptionRule.matchType });
+    return {
+      eligible: action !== 'DENY',
+      code: action === 'DENY' ? ELIGIBILITY_CODES.RULE_DENY : ELIGIBILITY_CODES.RULE_ALLOW,
+      reason: `${action} exception rule`,
+      source: 'exception_rule'
+    };
   }
 
+  const policy = await getEligibilityPolicy();
+  const policyVersion = getPolicyVersion(policy);
+
   // Check cache first (for reservations, we want fresh data but can use short cache)
   if (kv) {
     try {
       const cached = await kv.get(cacheKey);
-      if (cached && (Date.now() - cached.cachedAt) < 60000) { // 1 minute cache for verification
-        console.log('📦 Using cached verification result');
-        return cached.hasQuarterly;
+      // Verdicts computed under an older policy (or before reason codes) are ignored
+      if (cached?.code && cached.policyVersion === policyVersion && (Date.now() - cached.cachedAt) < 60000) { // 1 minute cache for verification
+        logger.info('Using cached verification result', { code: cached.code });
+        return { eligible: cached.eligible, code: cached.code, reason: cached.reason, source: 'cache' };
       }
     } catch (e) {
-      console.warn('Verification cache check failed:', e.message);
+      logger.warn('Verification cache check failed', { error: e.message });
     }
   }
 
   try {
-    console.log('🔍 Verifying subscription for:', emailLower);
+    logger.info('Verifying subscription', { email: emailLower });
     
     // Use emailLower with _eq for fast indexed lookup (instead of slow _ilike)
+    const { query, variables } = buildSubscriptionQuery(policy);
     const response = await fetchWithRetry(CONFIG.SKIO_GRAPHQL_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'authorization': `API ${apiKey}`
       },
-      body: JSON.stringify({
-        query: `
-          query CheckQuarterly($email: String!) {
-            Subscriptions(
-              where: {
-                StorefrontUser: { emailLower: { _eq: $email } },
-                status: { _eq: "ACTIVE" }
-              },
-              limit: 10
-            ) {
-              status
-              BillingPolicy {
-                interval
-                intervalCount
-              }
-            }
-          }
-        `,
-        variables: { email: emailLower }
-      })
+      body: JSON.stringify({ query, variables: { ...variables, email: emailLower } })
     });
 
     if (!response.ok) {
-      console.log('❌ Skio API returned:', response.status);
-      return false;
+      logger.warn('Skio API returned an error status', { status: response.status });
+      return { eligible: false, code: ELIGIBILITY_CODES.UPSTREAM_UNAVAILABLE, reason: `Skio returned ${response.status}`, source: 'error' };
     }
 
     const data = await response.json();
     
     if (data.errors) {
-      console.log('❌ Skio GraphQL errors:', data.errors);
-      return false;
+      logger.warn('Skio GraphQL errors', { errors: data.errors });
+      return { eligible: false, code: ELIGIBILITY_CODES.UPSTREAM_UNAVAILABLE, reason: 'Skio query failed', source: 'error' };
     }
 
-    const subscriptions = data.data?.Subscriptions || [];
-    console.log('📋 Found', subscriptions.length, 'active subscriptions for', emailLower);
-    
-    // Log all subscriptions for debugging
-    subscriptions.forEach((sub, i) => {
-      const policy = sub.BillingPolicy || {};
-      console.log(`  📦 Sub ${i + 1}: status=${sub.status}, interval=${policy.interval}, count=${policy.intervalCount}`);
-    });
-    
-    const hasQuarterly = subscriptions.some(sub => {
-      const status = (sub.status || '').toUpperCase();
-      if (status !== 'ACTIVE') return false;
-      
-      const policy = sub.BillingPolicy || {};
-      const cadenceDays = getBillingCadenceDays(policy);
-      
-      // Access cadence should follow actual Skio billing frequency.
-      // Current program supports 4/8/12-week cadences.
-      // Keep ~quarterly day-based fallback for month-based policies.
-      const isEligibleCadence = cadenceDays !== null && (
-        cadenceDays === 28 || // 4 weeks
-        cadenceDays === 56 || // 8 weeks
-        cadenceDays === 84 || // 12 weeks
-        (cadenceDays >= 84 && cadenceDays <= 95) // ~quarterly fallback
-      );
-      
-      if (isEligibleCadence) {
-        console.log('✅ Found eligible billing cadence:', cadenceDays, 'days');
-      }
-      
-      return isEligibleCadence;
+    const subscriptions = extractSubscriptions(data);
+    const { eligible, code, reason, subscriptions: evaluated } = evaluateSubscriptions(subscriptions, policy);
+
+    // Per-subscription detail for debugging (LOG_LEVEL=debug)
+    logger.debug('Evaluated subscriptions', {
+      subscriptions: evaluated.map((sub) => ({
+        status: sub.status,
+        interval: sub.BillingPolicy?.interval,
+        intervalCount: sub.BillingPolicy?.intervalCount,
+        cadenceDays: sub.cadenceDays,
+        failureCode: sub.failureCode
+      }))
     });
-
-    if (!hasQuarterly && subscriptions.length > 0) {
-      console.log('⚠️ User has subscriptions but none match eligible billing cadence');
-    }
+    logger.info('Subscription verified', { email: emailLower, subscriptionCount: subscriptions.length, eligible, code, reason });
 
     // Cache the result
     if (kv) {
-      kv.set(cacheKey, { hasQuarterly, cachedAt: Date.now() }, { ex: 60 })
-        .catch(e => console.warn('Verification cache set failed:', e.message));
+      kv.set(cacheKey, { eligible, code, reason, policyVersion, cachedAt: Date.now() }, { ex: 60 })
+        .catch(e => logger.warn('Verification cache set failed', { error: e.message }));
     }
 
-    return hasQuarterly;
+    return { eligible, code, reason, source: 'skio' };
 
   } catch (error) {
     if (error.name === 'AbortError') {
-      console.error('❌ Subscription verification timeout after', CONFIG.API_TIMEOUT_MS, 'ms');
+      logger.error('Subscription verification timeout', { timeoutMs: CONFIG.API_TIMEOUT_MS });
     } else {
-      console.error('❌ Subscription verification error:', error.message);
+      logger.error('Subscription verification error', { error: error.message });
     }
-    return false;
+    return { eligible: false, code: ELIGIBILITY_CODES.UPSTREAM_UNAVAILABLE, reason: 'Subscription service unavailable', source: 'error' };
   }
 }
 
@@ -976,32 +1635,7 @@ async function verifyQuarterlySubscription(email) {
 // ═══════════════════════════════════════════════════════════════
 function extractEmail(body) {
   if (!body) return null;
+  // Registered operations always take the customer as `$email`
   if (body.variables?.email) return body.variables.email;
-  if (typeof body.query === 'string') {
-    const match = body.query.match(/_eq:\s*"([^"]+@[^"]+)"/);
-    if (match) return match[1];
-  }
-  return null;
-}
-
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36);
-}
-
-function getBillingCadenceDays(policy = {}) {
-  const interval = (policy.interval || '').toUpperCase();
-  const count = parseInt(policy.intervalCount, 10) || 0;
-  if (!count) return null;
-
-  // Normalize BillingPolicy to an approximate day cadence for consistent checks.
-  if (interval === 'DAY' || interval === 'DAYS') return count;
-  if (interval === 'WEEK' || interval === 'WEEKS') return count * 7;
-  if (interval === 'MONTH' || interval === 'MONTHS') return count * 30;
   return null;
 }
@@ -0,0 +1,181 @@
+// lib/admin-auth.js - Authentication and roles for CS admin endpoints
+// Each rep gets a personal token `<username>.<secret>`; only a SHA-256 of the secret is
+// stored in KV. EXCEPTIONS_ADMIN_TOKEN remains as a break-glass account with the admin role.
+// Users are fields of one KV hash, and each is changed on its own with a compare-and-set,
+// so two admins editing at once can't drop each other's change or undo a revoke.
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { kv } from './kv.js';
+
+export const ADMIN_USERS_KEY = 'skio:admin:users:v2';
+export const LEGACY_ADMIN_USERS_KEY = 'skio:admin:users';
+export const LEGACY_ADMIN_USERS_BACKUP_KEY = 'skio:admin:users:migrated';
+
+// Writes ARGV[3] to field ARGV[1] only while it still holds ARGV[2] ('' = missing)
+const SET_USER_SCRIPT = `
+if (redis.call('HGET', KEYS[1], ARGV[1]) or '') ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1
+`;
+
+// Ordered from least to most privileged; each role can do everything the previous ones can.
+export const ROLES = ['viewer', 'agent', 'lead', 'admin'];
+
+export const AGENT_MAX_CADENCE_WEEKS = 12;
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,39}$/;
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+function safeEqual(a, b) {
+  // Hash first so inputs of different lengths still compare in constant time
+  return timingSafeEqual(sha256(a), sha256(b));
+}
+
+function getTokenFromRequest(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length).trim();
+  }
+  return (req.headers['x-admin-token'] || '').trim();
+}
+
+export function normalizeUsername(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+export function isValidUsername(name) {
+  return USERNAME_RE.test(name);
+}
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+export function hasRole(user, minimumRole) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STORAGE
+// Users used to live in one JSON blob. The first call on each instance copies any blob
+// entries into the hash (never overwriting newer ones) and keeps a backup.
+// ═══════════════════════════════════════════════════════════════
+let migrationPromise = null;
+
+async function migrateLegacyUsers() {
+  const legacy = await kv.get(LEGACY_ADMIN_USERS_KEY);
+  if (!legacy || typeof legacy !== 'object') return;
+  for (const [name, user] of Object.entries(legacy)) {
+    await kv.hsetnx(ADMIN_USERS_KEY, name, user);
+  }
+  await kv.set(LEGACY_ADMIN_USERS_BACKUP_KEY, legacy);
+  await kv.del(LEGACY_ADMIN_USERS_KEY);
+  console.log(`👤 Migrated ${Object.keys(legacy).length} admin users to ${ADMIN_USERS_KEY}`);
+}
+
+function ensureMigrated() {
+  if (!migrationPromise) {
+    migrationPromise = migrateLegacyUsers().catch((e) => {
+      migrationPromise = null; // Retry on the next call
+      throw e;
+    });
+  }
+  return migrationPromise;
+}
+
+export async function readAdminUsers() {
+  if (!kv) return {};
+  await ensureMigrated();
+  return (await kv.hgetall(ADMIN_USERS_KEY)) || {};
+}
+
+export async function getAdminUser(name) {
+  if (!kv) return null;
+  await ensureMigrated();
+  const user = await kv.hget(ADMIN_USERS_KEY, name);
+  return user && typeof user === 'object' ? user : null;
+}
+
+/**
+ * Save `user` under `name`, unless it changed since `expected` was read (null = must not
+ * exist yet). Returns false when someone else changed or removed it first.
+ */
+export async function saveAdminUser(name, user, expected) {
+  await ensureMigrated();
+  const result = await kv.eval(SET_USER_SCRIPT, [ADMIN_USERS_KEY], [
+    name,
+    expected ? JSON.stringify(expected) : '',
+    JSON.stringify(user)
+  ]);
+  return Number(result) === 1;
+}
+
+/** Remove a user; returns false if there was none. */
+export async function deleteAdminUser(name) {
+  await ensureMigrated();
+  return Number(await kv.hdel(ADMIN_USERS_KEY, name)) > 0;
+}
+
+/**
+ * Issue a new secret for `name`. Returns `{ token, tokenHash }`; the token is shown
+ * to the caller once and only the hash is persisted.
+ */
+export function issueToken(name) {
+  const secret = randomBytes(24).toString('base64url');
+  return { token: `${name}.${secret}`, tokenHash: sha256(secret).toString('hex') };
+}
+
+/**
+ * True when the request carries Vercel Cron's `Authorization: Bearer <CRON_SECRET>`.
+ */
+export function isCronRequest(req) {
+  const cronSecret = (process.env.CRON_SECRET || '').trim();
+  const token = getTokenFromRequest(req);
+  return Boolean(cronSecret && token) && safeEqual(token, cronSecret);
+}
+
+/**
+ * True when the request carries `Authorization: Bearer <METRICS_TOKEN>` (Prometheus scrapes).
+ */
+export function isMetricsScrapeRequest(req) {
+  const metricsToken = (process.env.METRICS_TOKEN || '').trim();
+  const token = getTokenFromRequest(req);
+  return Boolean(metricsToken && token) && safeEqual(token, metricsToken);
+}
+
+/**
+ * Resolve the admin identity behind a request, or null if the token is missing or wrong.
+ */
+export async function authenticate(req) {
+  const token = getTokenFromRequest(req);
+  if (!token) return null;
+
+  const breakGlass = (process.env.EXCEPTIONS_ADMIN_TOKEN || '').trim();
+  if (breakGlass && safeEqual(token, breakGlass)) {
+    return { name: 'admin', role: 'admin' };
+  }
+
+  // Usernames may contain dots; base64url secrets never do
+  const separator = token.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const name = normalizeUsername(token.slice(0, separator));
+  const secret = token.slice(separator + 1);
+
+  try {
+    const user = await getAdminUser(name);
+    if (!user || user.disabled || !user.tokenHash) return null;
+
+    const provided = sha256(secret);
+    const expected = Buffer.from(user.tokenHash, 'hex');
+    if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+      return null;
+    }
+    return { name, role: user.role };
+  } catch (e) {
+    console.warn('Admin user lookup failed:', e.message);
+    return null;
+  }
+}
@@ -0,0 +1,180 @@
+// lib/calendar.js - Session schedules and RFC 5545 (.ics) invites for class reservations
+// Times are stored and written in UTC, so the invite needs no VTIMEZONE; the customer's
+// timezone is only used to spell out the local start time. An invite's UID stays the same
+// across reschedules and its SEQUENCE goes up, so calendars update the existing event.
+
+export const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 24 * 60;
+const MAX_JOIN_URL_LENGTH = 2048;
+const PRODUCT_ID = '-//IM8//90 Day Class Reservations//EN';
+const UID_DOMAIN = 'skio-proxy';
+
+// Offset (or Z) required, so a start time can't silently mean "server time"
+const STARTS_AT_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/** IANA timezone name if the runtime knows it, otherwise null. */
+export function normalizeTimezone(timezone) {
+  const name = String(timezone || '').trim();
+  if (!name || name.length > 64) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Structured schedule from the theme's `moduleData` (`startsAt`, `durationMinutes`,
+ * `joinUrl`) and the customer's timezone. All fields are optional; values that are
+ * present but invalid return `{ error }` naming `field`. An unknown timezone is dropped.
+ */
+export function parseSessionSchedule(moduleData, timezone, { field = 'moduleData' } = {}) {
+  const schedule = {
+    startsAt: null,
+    durationMinutes: null,
+    timezone: normalizeTimezone(timezone),
+    joinUrl: ''
+  };
+
+  if (moduleData?.startsAt) {
+    const startsAt = String(moduleData.startsAt).trim();
+    const time = STARTS_AT_RE.test(startsAt) ? Date.parse(startsAt) : NaN;
+    if (Number.isNaN(time)) {
+      return { error: `${field}.startsAt must be an ISO 8601 time with an offset, e.g. 2026-11-03T18:00:00-08:00` };
+    }
+    schedule.startsAt = new Date(time).toISOString();
+    schedule.durationMinutes = DEFAULT_DURATION_MINUTES;
+  }
+
+  if (moduleData?.durationMinutes !== undefined && moduleData.durationMinutes !== '') {
+    const minutes = Number(moduleData.durationMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DURATION_MINUTES) {
+      return { error: `${field}.durationMinutes must be a whole number from 1 to ${MAX_DURATION_MINUTES}` };
+    }
+    if (schedule.startsAt) schedule.durationMinutes = minutes;
+  }
+
+  if (moduleData?.joinUrl) {
+    const joinUrl = String(moduleData.joinUrl).trim();
+    let url = null;
+    try {
+      url = new URL(joinUrl);
+    } catch {
+      // Reported below
+    }
+    if (!url || url.protocol !== 'https:' || joinUrl.length > MAX_JOIN_URL_LENGTH) {
+      return { error: `${field}.joinUrl must be an https URL` };
+    }
+    schedule.joinUrl = url.href;
+  }
+
+  return { schedule };
+}
+
+/** "Tuesday, November 3, 2026 at 6:00:00 PM PST" in the customer's timezone (UTC if unknown). */
+export function formatLocalStart(startsAt, timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    dateStyle: 'full',
+    timeStyle: 'long',
+    timeZone: timezone || 'UTC'
+  }).format(new Date(startsAt));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RFC 5545
+// ═══════════════════════════════════════════════════════════════
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (section 3.1)
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length ? 74 : 75; // Continuation lines start with a space
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventTitle(record) {
+  const title = record.sessionTitle || '90 Day Class';
+  return record.moduleLabel ? `${record.moduleLabel}: ${title}` : title;
+}
+
+function eventDescription(record) {
+  return [
+    record.expertName && `With ${record.expertName}${record.expertRole ? `, ${record.expertRole}` : ''}`,
+    record.joinUrl && `Join: ${record.joinUrl}`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Invite for a reservation with a start time, or null without one. A cancelled
+ * reservation produces a STATUS:CANCELLED copy of the same event.
+ */
+export function buildReservationCalendar(record, { now = new Date() } = {}) {
+  if (!record?.startsAt) return null;
+
+  const start = new Date(record.startsAt);
+  const durationMinutes = record.durationMinutes || DEFAULT_DURATION_MINUTES;
+  const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+  const uid = `${record.calendarUid || record.id}@${UID_DOMAIN}`;
+  const cancelled = record.status === 'cancelled';
+  const description = eventDescription(record);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${record.calendarSequence || 0}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(eventTitle(record))}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(record.joinUrl ? [`LOCATION:${escapeText(record.joinUrl)}`, `URL:${record.joinUrl}`] : []),
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return {
+    uid,
+    sequence: record.calendarSequence || 0,
+    startsAt: start.toISOString(),
+    endsAt: end.toISOString(),
+    durationMinutes,
+    timezone: record.timezone || null,
+    localStart: formatLocalStart(start, record.timezone),
+    joinUrl: record.joinUrl || '',
+    filename: `class-${String(record.sessionId).replace(/[^A-Za-z0-9._-]/g, '-')}.ics`,
+    ics: lines.map(foldLine).join('\r\n') + '\r\n'
+  };
+}
@@ -0,0 +1,169 @@
+// lib/circuit-breaker.js - Skio circuit breaker shared by every serverless instance
+// Failure counts, the open-until time and the half-open probe lock live in KV, so one
+// instance's failures protect the others and only one request probes Skio at a time.
+// Without KV each instance keeps the same state in memory.
+import { kv } from './kv.js';
+import { logger } from './logger.js';
+import { incrementCounter } from './metrics.js';
+
+export const CIRCUIT_BREAKER_THRESHOLD = 10;   // Open after 10 consecutive failures
+export const CIRCUIT_BREAKER_RESET_MS = 15000; // Let one probe through after 15 seconds
+const FAILURE_WINDOW_SECONDS = 300;            // Failures older than this stop counting
+
+const FAILURES_KEY = 'skio:breaker:failures';
+const OPEN_KEY = 'skio:breaker:open';
+const PROBE_KEY = 'skio:breaker:probe';
+const LAST_FAILURE_KEY = 'skio:breaker:last-failure';
+
+export class CircuitOpenError extends Error {
+  constructor(state) {
+    super('Circuit breaker is open - Skio API temporarily unavailable');
+    this.name = 'CircuitOpenError';
+    this.state = state;
+  }
+}
+
+function createMemoryStore() {
+  const entries = new Map();
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  return {
+    async mget(...keys) {
+      return keys.map((key) => read(key)?.value ?? null);
+    },
+    async set(key, value, { ex, nx } = {}) {
+      if (nx && read(key)) return null;
+      entries.set(key, { value, expiresAt: ex ? Date.now() + ex * 1000 : null });
+      return 'OK';
+    },
+    async incr(key) {
+      const entry = read(key);
+      const value = (entry?.value || 0) + 1;
+      entries.set(key, { value, expiresAt: entry?.expiresAt ?? null });
+      return value;
+    },
+    async expire(key, ttlSeconds) {
+      const entry = read(key);
+      if (entry) entry.expiresAt = Date.now() + ttlSeconds * 1000;
+      return entry ? 1 : 0;
+    },
+    async del(...keys) {
+      keys.forEach((key) => entries.delete(key));
+      return keys.length;
+    }
+  };
+}
+
+const store = kv || createMemoryStore();
+
+// What this instance last saw; cheap enough for response headers
+let lastKnownState = 'closed';
+
+export function getLastKnownCircuitState() {
+  return lastKnownState;
+}
+
+/**
+ * Ask before calling Skio. Closed lets everything through, open rejects until
+ * `openUntil`, then half-open lets exactly one probe through across all instances
+ * (the probe lock expires after `probeTimeoutMs` in case the prober dies).
+ * Returns a ticket to hand to `recordSuccess` / `recordFailure`.
+ */
+export async function checkCircuit({ probeTimeoutMs }) {
+  try {
+    const [failures, open] = await store.mget(FAILURES_KEY, OPEN_KEY);
+    if (!open) {
+      lastKnownState = 'closed';
+      return { allowed: true, state: 'closed', failures: Number(failures) || 0, isProbe: false };
+    }
+
+    if (Date.now() < open.openUntil) {
+      lastKnownState = 'open';
+      return { allowed: false, state: 'open', isProbe: false };
+    }
+
+    lastKnownState = 'half_open';
+    const acquired = await store.set(PROBE_KEY, { startedAt: Date.now() }, { nx: true, ex: Math.ceil(probeTimeoutMs / 1000) });
+    if (!acquired) {
+      return { allowed: false, state: 'half_open', isProbe: false };
+    }
+    logger.info('Circuit breaker half-open, sending probe request');
+    return { allowed: true, state: 'half_open', isProbe: true };
+  } catch (e) {
+    // The breaker only protects Skio; a KV hiccup shouldn't block every request
+    logger.warn('Circuit breaker check failed', { error: e.message });
+    return { allowed: true, state: 'unknown', isProbe: false };
+  }
+}
+
+export async function recordSuccess(ticket) {
+  if (ticket.state === 'closed' && !ticket.failures) return;
+  try {
+    await store.del(FAILURES_KEY, OPEN_KEY, PROBE_KEY);
+    lastKnownState = 'closed';
+    logger.info('Circuit breaker reset after success');
+  } catch (e) {
+    logger.warn('Circuit breaker reset failed', { error: e.message });
+  }
+}
+
+export async function recordFailure(ticket, error) {
+  const now = Date.now();
+  const lastError = error?.message || String(error || 'unknown error');
+  try {
+    const failures = await store.incr(FAILURES_KEY);
+    await Promise.all([
+      store.expire(FAILURES_KEY, FAILURE_WINDOW_SECONDS),
+      store.set(LAST_FAILURE_KEY, { at: now, error: lastError }, { ex: FAILURE_WINDOW_SECONDS })
+    ]);
+
+    const open = { openedAt: now, openUntil: now + CIRCUIT_BREAKER_RESET_MS, failures, lastError };
+    if (ticket.isProbe) {
+      await store.set(OPEN_KEY, open);
+      await store.del(PROBE_KEY);
+      lastKnownState = 'open';
+      incrementCounter('skio_circuit_breaker_trips_total', { reason: 'probe_failed' });
+      logger.warn('Circuit breaker probe failed, re-opened', { error: lastError });
+    } else if (failures >= CIRCUIT_BREAKER_THRESHOLD) {
+      // nx: the first instance to trip the breaker sets openedAt
+      if (await store.set(OPEN_KEY, open, { nx: true })) {
+        incrementCounter('skio_circuit_breaker_trips_total', { reason: 'threshold' });
+        logger.warn('Circuit breaker opened', { failures, error: lastError });
+      }
+      lastKnownState = 'open';
+    }
+  } catch (e) {
+    logger.warn('Circuit breaker failure record failed', { error: e.message });
+  }
+}
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+/** Current shared state with timestamps, for the health endpoint. */
+export async function getCircuitState() {
+  const [failures, open, probe, lastFailure] = await store.mget(FAILURES_KEY, OPEN_KEY, PROBE_KEY, LAST_FAILURE_KEY);
+  let state = 'closed';
+  if (open) state = Date.now() < open.openUntil ? 'open' : 'half_open';
+  lastKnownState = state;
+
+  return {
+    state,
+    shared: Boolean(kv),
+    failures: Number(failures) || 0,
+    threshold: CIRCUIT_BREAKER_THRESHOLD,
+    openedAt: toIso(open?.openedAt),
+    openUntil: toIso(open?.openUntil),
+    lastFailureAt: toIso(lastFailure?.at),
+    lastError: lastFailure?.error || null,
+    probeInFlight: Boolean(probe),
+    probeStartedAt: toIso(probe?.startedAt)
+  };
+}
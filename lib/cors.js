@@ -0,0 +1,159 @@
+// lib/cors.js - Origin allowlist enforcement shared by all API routes
+// The list lives in KV so CS can add a staging domain from the admin page;
+// DEFAULT_ALLOWED_ORIGINS applies until someone saves a list.
+import { kv } from './kv.js';
+import { logger } from './logger.js';
+
+export const CORS_ORIGINS_KEY = 'skio:cors:origins';
+
+export const DEFAULT_ALLOWED_ORIGINS = [
+  'https://im8health.com',
+  'https://www.im8health.com',
+  'https://im8official.myshopify.com',
+  'https://*.shopifypreview.com',
+  'http://localhost:3000',
+  'http://127.0.0.1:9292'
+];
+
+const ORIGINS_CACHE_MS = 30000; // Re-read the KV list at most every 30 seconds per instance
+const ORIGIN_PATTERN_RE = /^https?:\/\/[a-z0-9*.-]+(:\d+)?$/;
+
+// Two-label public suffixes (from the Public Suffix List), including hosting platforms
+// where every subdomain belongs to a different customer. `*.co.uk` would match every
+// UK company, so a wildcard needs one more label under these.
+const MULTI_LABEL_PUBLIC_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'id.au',
+  'co.nz', 'net.nz', 'org.nz', 'ac.nz', 'govt.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+  'co.kr', 'or.kr', 'co.in', 'net.in', 'org.in', 'co.id', 'co.il', 'co.th', 'co.za',
+  'com.ar', 'com.br', 'com.cn', 'net.cn', 'org.cn', 'com.hk', 'com.mx', 'com.my',
+  'com.ph', 'com.sg', 'com.tr', 'com.tw', 'com.vn', 'com.sa', 'com.eg', 'com.pk',
+  'myshopify.com', 'vercel.app', 'netlify.app', 'github.io', 'herokuapp.com',
+  'pages.dev', 'workers.dev', 'web.app', 'firebaseapp.com', 'azurewebsites.net', 'cloudfront.net'
+]);
+
+let originsCache = { origins: null, loadedAt: 0 };
+
+export function normalizeOriginPattern(value) {
+  return String(value || '').trim().toLowerCase().replace(/\/+$/, '');
+}
+
+export function isValidOriginPattern(pattern) {
+  if (!ORIGIN_PATTERN_RE.test(pattern) || pattern.includes('**')) return false;
+  // Wildcards must stay under a registrable domain: `https://*.shopifypreview.com`, not
+  // `https://*.com` or `https://*.co.uk`
+  if (!pattern.includes('*')) return true;
+  const suffix = pattern.slice(pattern.lastIndexOf('*') + 1).replace(/:\d+$/, '');
+  if (!suffix.startsWith('.')) return false;
+  const labels = suffix.slice(1).split('.');
+  if (labels.some((label) => !label)) return false;
+  return !isPublicSuffix(labels.join('.'));
+}
+
+/** True for `com`, `co.uk`, `myshopify.com` and the like: domains no single owner holds. */
+export function isPublicSuffix(domain) {
+  return !domain.includes('.') || MULTI_LABEL_PUBLIC_SUFFIXES.has(domain);
+}
+
+function patternToRegExp(pattern) {
+  // `*` matches one or more host labels, never a scheme, port or path separator.
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+  return new RegExp(`^${source}$`);
+}
+
+export function isOriginAllowed(origin, patterns) {
+  const normalized = normalizeOriginPattern(origin);
+  if (!normalized) return false;
+  return patterns.some((pattern) => (
+    pattern.includes('*') ? patternToRegExp(pattern).test(normalized) : pattern === normalized
+  ));
+}
+
+export async function getAllowedOrigins() {
+  if (originsCache.origins && Date.now() - originsCache.loadedAt < ORIGINS_CACHE_MS) {
+    return originsCache.origins;
+  }
+
+  let origins = DEFAULT_ALLOWED_ORIGINS;
+  if (kv) {
+    try {
+      const stored = await kv.get(CORS_ORIGINS_KEY);
+      if (Array.isArray(stored) && stored.length) {
+        origins = stored;
+      }
+    } catch (e) {
+      logger.warn('Failed to load allowed origins', { error: e.message });
+    }
+  }
+
+  originsCache = { origins, loadedAt: Date.now() };
+  return origins;
+}
+
+export async function getStoredOrigins() {
+  const stored = await kv.get(CORS_ORIGINS_KEY);
+  return Array.isArray(stored) && stored.length ? stored : null;
+}
+
+export async function saveAllowedOrigins(origins) {
+  await kv.set(CORS_ORIGINS_KEY, origins);
+  originsCache = { origins, loadedAt: Date.now() };
+}
+
+export async function resetAllowedOrigins() {
+  await kv.del(CORS_ORIGINS_KEY);
+  originsCache = { origins: null, loadedAt: 0 };
+}
+
+function isSameOrigin(req, origin) {
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  if (!host) return false;
+  try {
+    return new URL(origin).host === String(host).split(',')[0].trim();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Set CORS headers for allowed origins and reject everything else.
+ * Requests without an Origin header (server-to-server, same-origin navigation) pass through.
+ * Returns true when the caller should continue handling the request; otherwise the
+ * response (preflight or 403) has already been sent.
+ */
+export async function applyCors(req, res, { methods, headers, credentials = false, exposeHeaders = null }) {
+  const origin = req.headers.origin;
+
+  if (origin) {
+    const allowed = isSameOrigin(req, origin) || isOriginAllowed(origin, await getAllowedOrigins());
+    if (!allowed) {
+      logger.warn('Rejected request from unlisted origin', { origin });
+      res.status(403).json({ error: 'Origin not allowed' });
+      return false;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    if (credentials) {
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+    if (exposeHeaders) {
+      res.setHeader('Access-Control-Expose-Headers', exposeHeaders);
+    }
+  }
+
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', headers);
+  res.setHeader('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return false;
+  }
+
+  return true;
+}
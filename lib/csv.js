@@ -0,0 +1,72 @@
+// lib/csv.js - Minimal RFC 4180 CSV parsing and serialization
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  // Prefix formula-like values so spreadsheets don't execute them
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/** Undo the formula prefix added by toCsv, so exported files import cleanly. */
+export function stripFormulaGuard(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+export function toCsv(columns, records) {
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeCsvField(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
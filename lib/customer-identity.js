@@ -0,0 +1,76 @@
+// lib/customer-identity.js - Signed customer identity tokens
+// The theme mints `<expiresAtSeconds>.<hmacHex>` for the logged-in customer with Liquid's
+// `hmac_sha256` filter; the proxy only serves data for the email the token was signed for.
+// Production requires CUSTOMER_TOKEN_SECRET; only local development runs unsigned.
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const MAX_TOKEN_TTL_SECONDS = 24 * 60 * 60; // Reject tokens minted to live longer than a day
+
+function normalizeEmail(email) {
+  return (email || '').toLowerCase().trim();
+}
+
+function getSecret() {
+  return (process.env.CUSTOMER_TOKEN_SECRET || '').trim();
+}
+
+function computeSignature(emailLower, expiresAt, secret) {
+  return createHmac('sha256', secret).update(`${emailLower}:${expiresAt}`).digest('hex');
+}
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+}
+
+/** Tokens are checked whenever a secret is set, and always in production. */
+export function isCustomerTokenRequired() {
+  return Boolean(getSecret()) || isProduction();
+}
+
+/** False in production without CUSTOMER_TOKEN_SECRET, when no token could be verified. */
+export function isCustomerIdentityAvailable() {
+  return Boolean(getSecret()) || !isProduction();
+}
+
+export function getCustomerTokenFromRequest(req) {
+  const header = req.headers?.['x-customer-token'];
+  if (header) return String(header).trim();
+  return String(req.body?.customerToken || '').trim();
+}
+
+export function signCustomerToken(email, ttlSeconds = 3600, secret = getSecret()) {
+  if (!secret) throw new Error('CUSTOMER_TOKEN_SECRET is not configured');
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${expiresAt}.${computeSignature(normalizeEmail(email), expiresAt, secret)}`;
+}
+
+/**
+ * Check that `token` was signed for `email` and hasn't expired.
+ * Returns `{ valid: true }` or `{ valid: false, reason }`.
+ */
+export function verifyCustomerToken(email, token, secret = getSecret()) {
+  if (!secret) return { valid: false, reason: 'Customer token secret not configured' };
+  if (!token) return { valid: false, reason: 'Customer token required' };
+
+  const [expiresRaw, signature, ...rest] = String(token).split('.');
+  const expiresAt = Number.parseInt(expiresRaw, 10);
+  if (rest.length || !Number.isFinite(expiresAt) || !/^[0-9a-f]{64}$/i.test(signature || '')) {
+    return { valid: false, reason: 'Malformed customer token' };
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (expiresAt <= nowSeconds) {
+    return { valid: false, reason: 'Customer token expired' };
+  }
+  if (expiresAt - nowSeconds > MAX_TOKEN_TTL_SECONDS) {
+    return { valid: false, reason: 'Customer token lifetime too long' };
+  }
+
+  const expected = Buffer.from(computeSignature(normalizeEmail(email), expiresAt, secret), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'Customer token does not match email' };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,344 @@
+// lib/eligibility.js - Subscription eligibility policy for gated class reservations
+// Shared by the reservation gate and storefront eligibility check in api/skio.js and the
+// CS "explain decision" tool, so they always agree on what counts as eligible.
+// The policy lives in KV so marketing can change the program without a deploy;
+// DEFAULT_ELIGIBILITY_POLICY applies until someone saves one.
+import { kv } from './kv.js';
+import { logger } from './logger.js';
+
+export const ELIGIBILITY_POLICY_KEY = 'skio:eligibility:policy';
+
+export const BILLING_INTERVALS = ['DAY', 'WEEK', 'MONTH', 'YEAR'];
+
+// 4, 8 and 12 weeks, plus a ~quarterly fallback for month-based policies
+export const DEFAULT_ELIGIBILITY_POLICY = {
+  allowedStatuses: ['ACTIVE'],
+  allowedCadences: [],
+  allowedIntervals: [],
+  cadenceDayRanges: [
+    { minDays: 28, maxDays: 28 },
+    { minDays: 56, maxDays: 56 },
+    { minDays: 84, maxDays: 95 }
+  ],
+  monthDays: 30,
+  requiredProductIds: [],
+  requiredVariantIds: [],
+  requiredSellingPlanIds: []
+};
+
+// Machine-readable verdicts, so the storefront can pick the right message or upsell
+export const ELIGIBILITY_CODES = {
+  ELIGIBLE: 'ELIGIBLE',
+  RULE_ALLOW: 'RULE_ALLOW',
+  RULE_DENY: 'RULE_DENY',
+  NO_SUBSCRIPTION: 'NO_SUBSCRIPTION',
+  INACTIVE: 'INACTIVE',
+  INELIGIBLE_CADENCE: 'INELIGIBLE_CADENCE',
+  INELIGIBLE_PRODUCT: 'INELIGIBLE_PRODUCT',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE'
+};
+
+// When several subscriptions fail, report the one closest to qualifying
+const FAILURE_PRIORITY = [
+  ELIGIBILITY_CODES.INELIGIBLE_PRODUCT,
+  ELIGIBILITY_CODES.INELIGIBLE_CADENCE,
+  ELIGIBILITY_CODES.INACTIVE
+];
+
+const POLICY_CACHE_MS = 30000; // Re-read the KV policy at most every 30 seconds per instance
+const MAX_POLICY_IDS = 200;
+const MAX_CADENCE_ENTRIES = 50;
+const STATUS_RE = /^[A-Z_]{2,30}$/;
+
+let policyCache = { policy: null, loadedAt: 0 };
+
+function normalizeInterval(value) {
+  return String(value || '').trim().toUpperCase().replace(/S$/, '');
+}
+
+function toNumericId(value) {
+  // Accept bare IDs and Shopify GIDs (`gid://shopify/Product/123`)
+  const match = /(\d+)$/.exec(String(value || '').trim());
+  return match ? match[1] : null;
+}
+
+export function getBillingCadenceDays(billingPolicy = {}, monthDays = DEFAULT_ELIGIBILITY_POLICY.monthDays) {
+  const interval = normalizeInterval(billingPolicy.interval);
+  const count = parseInt(billingPolicy.intervalCount, 10) || 0;
+  if (!count) return null;
+
+  // Normalize BillingPolicy to an approximate day cadence for range checks.
+  if (interval === 'DAY') return count;
+  if (interval === 'WEEK') return count * 7;
+  if (interval === 'MONTH') return Math.round(count * monthDays);
+  if (interval === 'YEAR') return count * 365;
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// POLICY VALIDATION
+// ═══════════════════════════════════════════════════════════════
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(/[\n,]+/);
+}
+
+function parseIdList(value, label, errors) {
+  const ids = [];
+  for (const raw of toList(value)) {
+    if (String(raw).trim() === '') continue;
+    const id = toNumericId(raw);
+    if (id) ids.push(id);
+    else errors.push(`${label}: "${raw}" is not a valid ID`);
+  }
+  if (ids.length > MAX_POLICY_IDS) errors.push(`${label}: at most ${MAX_POLICY_IDS} IDs`);
+  return [...new Set(ids)];
+}
+
+/**
+ * Validate and normalize a policy from the admin page. Cadences may be objects
+ * (`{ interval, intervalCount }`) or strings like `"8 WEEK"`; day ranges may be
+ * `{ minDays, maxDays }` or `"84-95"`. Returns `{ errors, policy }`.
+ */
+export function validatePolicy(input = {}) {
+  const errors = [];
+
+  const allowedStatuses = [...new Set(toList(input.allowedStatuses).map((s) => String(s).trim().toUpperCase()).filter(Boolean))];
+  if (!allowedStatuses.length) errors.push('At least one allowed status is required');
+  allowedStatuses.filter((s) => !STATUS_RE.test(s)).forEach((s) => errors.push(`Invalid status "${s}"`));
+
+  const allowedCadences = [];
+  for (const raw of toList(input.allowedCadences)) {
+    if (typeof raw === 'string' && raw.trim() === '') continue;
+    const [countText, intervalText] = typeof raw === 'string' ? raw.trim().split(/\s+/) : [raw?.intervalCount, raw?.interval];
+    const intervalCount = Number(countText);
+    const interval = normalizeInterval(intervalText);
+    if (!Number.isInteger(intervalCount) || intervalCount < 1 || intervalCount > 365 || !BILLING_INTERVALS.includes(interval)) {
+      errors.push(`Invalid cadence "${typeof raw === 'string' ? raw.trim() : JSON.stringify(raw)}" (use e.g. "8 WEEK")`);
+    } else if (!allowedCadences.some((c) => c.interval === interval && c.intervalCount === intervalCount)) {
+      allowedCadences.push({ interval, intervalCount });
+    }
+  }
+
+  const allowedIntervals = [...new Set(toList(input.allowedIntervals).map(normalizeInterval).filter(Boolean))];
+  allowedIntervals.filter((i) => !BILLING_INTERVALS.includes(i)).forEach((i) => errors.push(`Unknown interval "${i}"`));
+
+  const cadenceDayRanges = [];
+  for (const raw of toList(input.cadenceDayRanges)) {
+    if (typeof raw === 'string' && raw.trim() === '') continue;
+    const [minText, maxText = minText] = typeof raw === 'string' ? raw.trim().split(/\s*-\s*/) : [raw?.minDays, raw?.maxDays];
+    const minDays = Number(minText);
+    const maxDays = Number(maxText);
+    if (!Number.isInteger(minDays) || !Number.isInteger(maxDays) || minDays < 1 || maxDays > 3650 || minDays > maxDays) {
+      errors.push(`Invalid day range "${typeof raw === 'string' ? raw.trim() : JSON.stringify(raw)}" (use e.g. "84-95")`);
+    } else {
+      cadenceDayRanges.push({ minDays, maxDays });
+    }
+  }
+
+  if (allowedCadences.length + cadenceDayRanges.length > MAX_CADENCE_ENTRIES) {
+    errors.push(`At most ${MAX_CADENCE_ENTRIES} cadences and day ranges combined`);
+  }
+
+  const monthDays = input.monthDays === undefined || input.monthDays === '' ? DEFAULT_ELIGIBILITY_POLICY.monthDays : Number(input.monthDays);
+  if (!Number.isFinite(monthDays) || monthDays < 28 || monthDays > 31) {
+    errors.push('monthDays must be between 28 and 31');
+  }
+
+  const policy = {
+    allowedStatuses,
+    allowedCadences,
+    allowedIntervals,
+    cadenceDayRanges,
+    monthDays,
+    requiredProductIds: parseIdList(input.requiredProductIds, 'Product IDs', errors),
+    requiredVariantIds: parseIdList(input.requiredVariantIds, 'Variant IDs', errors),
+    requiredSellingPlanIds: parseIdList(input.requiredSellingPlanIds, 'Selling plan IDs', errors)
+  };
+  return { errors, policy };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// POLICY STORAGE
+// ═══════════════════════════════════════════════════════════════
+export async function getEligibilityPolicy() {
+  if (policyCache.policy && Date.now() - policyCache.loadedAt < POLICY_CACHE_MS) {
+    return policyCache.policy;
+  }
+
+  let policy = DEFAULT_ELIGIBILITY_POLICY;
+  if (kv) {
+    try {
+      const stored = await kv.get(ELIGIBILITY_POLICY_KEY);
+      if (stored && typeof stored === 'object') {
+        policy = { ...DEFAULT_ELIGIBILITY_POLICY, ...stored };
+      }
+    } catch (e) {
+      logger.warn('Failed to load eligibility policy', { error: e.message });
+    }
+  }
+
+  policyCache = { policy, loadedAt: Date.now() };
+  return policy;
+}
+
+export async function getStoredPolicy() {
+  const stored = await kv.get(ELIGIBILITY_POLICY_KEY);
+  return stored && typeof stored === 'object' ? stored : null;
+}
+
+export async function saveEligibilityPolicy(policy, updatedBy) {
+  const saved = { ...policy, updatedAt: new Date().toISOString(), updatedBy };
+  await kv.set(ELIGIBILITY_POLICY_KEY, saved);
+  policyCache = { policy: saved, loadedAt: Date.now() };
+  return saved;
+}
+
+export async function resetEligibilityPolicy() {
+  await kv.del(ELIGIBILITY_POLICY_KEY);
+  policyCache = { policy: null, loadedAt: 0 };
+}
+
+/** Identifies the policy a cached verdict was computed under. */
+export function getPolicyVersion(policy) {
+  return policy.updatedAt || 'default';
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SKIO QUERY
+// Line items are only requested when the policy needs them.
+// ═══════════════════════════════════════════════════════════════
+function needsLines(policy) {
+  return policy.requiredProductIds.length > 0
+    || policy.requiredVariantIds.length > 0
+    || policy.requiredSellingPlanIds.length > 0;
+}
+
+const SUBSCRIPTION_LIMIT = 25;
+
+/**
+ * Build the Skio query for a customer's subscriptions. Subscriptions in an allowed status
+ * are fetched separately from the rest (`OtherSubscriptions`), so a long history of
+ * cancelled plans can't push the active one past the limit; the others only tell a
+ * cancelled plan apart from no plan at all. Returns `{ query, variables }`; the caller
+ * adds `email`. Read the result with `extractSubscriptions`.
+ */
+export function buildSubscriptionQuery(policy) {
+  const linesSelection = needsLines(policy)
+    ? `
+        SubscriptionLines {
+          sellingPlanId
+          ProductVariant {
+            platformId
+            Product {
+              platformId
+            }
+          }
+        }`
+    : '';
+
+  const selection = `{
+          status
+          BillingPolicy {
+            interval
+            intervalCount
+          }${linesSelection}
+        }`;
+  // Statuses are validated against STATUS_RE, so they're safe to inline as literals
+  const statuses = policy.allowedStatuses.filter((s) => STATUS_RE.test(s)).map((s) => `"${s}"`).join(', ');
+
+  return {
+    query: `
+      query CheckEligibility($email: String!) {
+        Subscriptions(
+          where: { StorefrontUser: { emailLower: { _eq: $email } }, status: { _in: [${statuses}] } },
+          limit: ${SUBSCRIPTION_LIMIT}
+        ) ${selection}
+        OtherSubscriptions: Subscriptions(
+          where: { StorefrontUser: { emailLower: { _eq: $email } }, status: { _nin: [${statuses}] } },
+          limit: ${SUBSCRIPTION_LIMIT}
+        ) ${selection}
+      }
+    `,
+    variables: {}
+  };
+}
+
+/** Subscriptions from a `buildSubscriptionQuery` response, allowed statuses first. */
+export function extractSubscriptions(data) {
+  return [...(data?.data?.Subscriptions || []), ...(data?.data?.OtherSubscriptions || [])];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════
+function matchesCadence(sub, cadenceDays, policy) {
+  const hasCadenceRules = policy.allowedCadences.length || policy.allowedIntervals.length || policy.cadenceDayRanges.length;
+  if (!hasCadenceRules) return true;
+
+  const interval = normalizeInterval(sub.BillingPolicy?.interval);
+  const count = parseInt(sub.BillingPolicy?.intervalCount, 10) || 0;
+  return policy.allowedCadences.some((c) => c.interval === interval && c.intervalCount === count)
+    || policy.allowedIntervals.includes(interval)
+    || (cadenceDays !== null && policy.cadenceDayRanges.some((r) => cadenceDays >= r.minDays && cadenceDays <= r.maxDays));
+}
+
+function matchesProducts(sub, policy) {
+  if (!needsLines(policy)) return true;
+  return (sub.SubscriptionLines || []).some((line) => (
+    policy.requiredVariantIds.includes(toNumericId(line.ProductVariant?.platformId))
+    || policy.requiredProductIds.includes(toNumericId(line.ProductVariant?.Product?.platformId))
+    || policy.requiredSellingPlanIds.includes(toNumericId(line.sellingPlanId))
+  ));
+}
+
+function describeCadence(sub, cadenceDays) {
+  const policy = sub.BillingPolicy || {};
+  if (!policy.intervalCount) return 'unknown cadence';
+  return `${policy.intervalCount} ${policy.interval}${cadenceDays === null ? '' : ` (~${cadenceDays} days)`}`;
+}
+
+/**
+ * Check a customer's Skio subscriptions against the policy.
+ * Returns `{ eligible, code, reason, subscriptions }` where each subscription carries its
+ * computed `cadenceDays`, whether it qualifies, and why not (`failure`, `failureCode`).
+ */
+export function evaluateSubscriptions(subscriptions = [], policy = DEFAULT_ELIGIBILITY_POLICY) {
+  const evaluated = subscriptions.map((sub) => {
+    const status = (sub.status || '').toUpperCase();
+    const cadenceDays = getBillingCadenceDays(sub.BillingPolicy || {}, policy.monthDays);
+    let failure = null;
+    let failureCode = null;
+    if (!policy.allowedStatuses.includes(status)) {
+      failure = `status ${status || 'unknown'} is not allowed`;
+      failureCode = ELIGIBILITY_CODES.INACTIVE;
+    } else if (!matchesCadence(sub, cadenceDays, policy)) {
+      failure = `${describeCadence(sub, cadenceDays)} is not an eligible cadence`;
+      failureCode = ELIGIBILITY_CODES.INELIGIBLE_CADENCE;
+    } else if (!matchesProducts(sub, policy)) {
+      failure = 'no eligible product or selling plan';
+      failureCode = ELIGIBILITY_CODES.INELIGIBLE_PRODUCT;
+    }
+    return { ...sub, cadenceDays, eligible: !failure, failure, failureCode };
+  });
+
+  const match = evaluated.find((sub) => sub.eligible);
+  if (match) {
+    return {
+      eligible: true,
+      code: ELIGIBILITY_CODES.ELIGIBLE,
+      reason: `${match.status} subscription billed every ${describeCadence(match, match.cadenceDays)}`,
+      subscriptions: evaluated
+    };
+  }
+  if (!evaluated.length) {
+    return { eligible: false, code: ELIGIBILITY_CODES.NO_SUBSCRIPTION, reason: 'No subscriptions found in Skio', subscriptions: evaluated };
+  }
+  return {
+    eligible: false,
+    code: FAILURE_PRIORITY.find((code) => evaluated.some((sub) => sub.failureCode === code)),
+    reason: `No eligible subscription: ${evaluated.map((sub) => sub.failure).join('; ')}`,
+    subscriptions: evaluated
+  };
+}
@@ -0,0 +1,45 @@
+// lib/exception-audit.js - Append-only audit trail for exception rule changes
+// Entries are pushed newest-first onto a single KV list and never rewritten.
+import { randomUUID } from 'node:crypto';
+import { kv } from './kv.js';
+import { getClientIp } from './http.js';
+
+export const EXCEPTION_AUDIT_KEY = 'skio:exceptions:audit';
+
+const MAX_SCAN_ENTRIES = 5000; // History queries look at the most recent 5000 changes
+
+function buildEntry(req, { action, email, actor, before = null, after = null }) {
+  return {
+    id: randomUUID(),
+    at: new Date().toISOString(),
+    action,
+    email,
+    actor: actor || 'unknown',
+    ip: getClientIp(req),
+    before,
+    after
+  };
+}
+
+export async function recordAuditEntry(req, change) {
+  const entry = buildEntry(req, change);
+  await kv.lpush(EXCEPTION_AUDIT_KEY, entry);
+  return entry;
+}
+
+export async function recordAuditEntries(req, changes) {
+  if (!changes.length) return [];
+  const entries = changes.map((change) => buildEntry(req, change));
+  await kv.lpush(EXCEPTION_AUDIT_KEY, ...entries);
+  return entries;
+}
+
+export async function readAuditEntries({ email = '', actor = '', limit = 100 } = {}) {
+  const entries = await kv.lrange(EXCEPTION_AUDIT_KEY, 0, MAX_SCAN_ENTRIES - 1);
+  const actorLower = actor.toLowerCase();
+  return (Array.isArray(entries) ? entries : [])
+    .map((entry) => (typeof entry === 'string' ? JSON.parse(entry) : entry))
+    .filter((entry) => !email || entry.email === email)
+    .filter((entry) => !actorLower || String(entry.actor || '').toLowerCase().includes(actorLower))
+    .slice(0, limit);
+}
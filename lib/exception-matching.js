@@ -0,0 +1,119 @@
+// lib/exception-matching.js - Rule targets and precedence for exception rules
+// A rule's target (stored in its `email` field for compatibility) is one of:
+//   jane@example.com           exact email
+//   shopify:1234567890         Shopify customer ID
+//   skio:<uuid>                Skio StorefrontUser ID
+//   *+vip@gmail.com            glob pattern over the email (`*` and `?`, never across `@`)
+//   @im8health.com             email domain, including its subdomains
+//
+// Precedence: exact email / ID beats pattern beats domain; a deeper domain beats its parent;
+// at equal specificity DENY beats ALLOW; remaining ties go to the most recently updated rule.
+
+import { isPublicSuffix } from './cors.js';
+
+export const RULE_STATES = ['active', 'scheduled', 'expired', 'paused'];
+
+const SPECIFICITY_TIERS = {
+  email: 300,
+  shopify_customer_id: 300,
+  skio_user_id: 300,
+  pattern: 200,
+  domain: 100
+};
+
+const EMAIL_RE = /^[^\s@*?]+@[^\s@*?]+\.[^\s@*?]+$/;
+const DOMAIN_RE = /^@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+const PATTERN_RE = /^[a-z0-9._%+*?-]+@[a-z0-9.*?-]+$/;
+
+// A pattern's domain must end in a literal registrable domain after its last wildcard:
+// `*.example.com` and `gmail.com` pass, `*.com`, `co.uk` and `ex*ample.com` don't.
+function hasRegistrableDomain(domainPart) {
+  const wildcard = Math.max(domainPart.lastIndexOf('*'), domainPart.lastIndexOf('?'));
+  if (wildcard !== -1 && domainPart[wildcard + 1] !== '.') return false;
+  const domain = domainPart.slice(wildcard + 1).replace(/^\./, '');
+  return domain.split('.').every(Boolean) && !isPublicSuffix(domain);
+}
+
+/**
+ * Normalize a rule target and work out what it matches.
+ * Returns `{ target, matchType }` or null if the input isn't a recognized target.
+ */
+export function parseRuleTarget(input) {
+  const value = String(input || '').trim().toLowerCase();
+  if (!value) return null;
+
+  const shopifyGid = /^gid:\/\/shopify\/customer\/(\d+)$/.exec(value);
+  if (shopifyGid) return { target: `shopify:${shopifyGid[1]}`, matchType: 'shopify_customer_id' };
+  if (/^shopify:\d+$/.test(value)) return { target: value, matchType: 'shopify_customer_id' };
+  if (/^skio:[a-z0-9-]+$/.test(value)) return { target: value, matchType: 'skio_user_id' };
+  if (value.startsWith('@')) {
+    // A rule for `@co.uk` would cover every UK company
+    return DOMAIN_RE.test(value) && !isPublicSuffix(value.slice(1)) ? { target: value, matchType: 'domain' } : null;
+  }
+  if (/[*?]/.test(value)) {
+    const domainPart = value.slice(value.indexOf('@') + 1);
+    return PATTERN_RE.test(value) && hasRegistrableDomain(domainPart) ? { target: value, matchType: 'pattern' } : null;
+  }
+  return EMAIL_RE.test(value) ? { target: value, matchType: 'email' } : null;
+}
+
+export function getMatchType(target) {
+  return parseRuleTarget(target)?.matchType || 'email';
+}
+
+/** Rules that must be scanned rather than looked up by key. */
+export function isScannedMatchType(matchType) {
+  return matchType === 'pattern' || matchType === 'shopify_customer_id' || matchType === 'skio_user_id';
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') return '[^@]*';
+      if (char === '?') return '[^@]';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesPattern(pattern, emailLower) {
+  return globToRegExp(pattern).test(emailLower);
+}
+
+/** `@a.b.example.com` → ['@a.b.example.com', '@b.example.com', '@example.com'] */
+export function domainCandidates(emailLower) {
+  const domain = emailLower.slice(emailLower.lastIndexOf('@') + 1);
+  const labels = domain.split('.');
+  const candidates = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    candidates.push(`@${labels.slice(i).join('.')}`);
+  }
+  return candidates;
+}
+
+export function getSpecificity(rule) {
+  const matchType = getMatchType(rule.email);
+  const depth = matchType === 'domain' ? rule.email.split('.').length : 0;
+  return SPECIFICITY_TIERS[matchType] + depth;
+}
+
+/** Where a rule is in its lifecycle: paused by CS, waiting for `startsAt`, past `expiresAt`, or active. */
+export function getRuleState(rule, now = Date.now()) {
+  if (rule.active === false) return 'paused';
+  const startsAtMs = Date.parse(rule.startsAt || '');
+  if (!Number.isNaN(startsAtMs) && startsAtMs > now) return 'scheduled';
+  const expiresAtMs = Date.parse(rule.expiresAt || '');
+  if (!Number.isNaN(expiresAtMs) && expiresAtMs <= now) return 'expired';
+  return 'active';
+}
+
+export function compareRules(a, b) {
+  const specificity = getSpecificity(b) - getSpecificity(a);
+  if (specificity) return specificity;
+  const aDeny = (a.action || 'ALLOW').toUpperCase() === 'DENY';
+  const bDeny = (b.action || 'ALLOW').toUpperCase() === 'DENY';
+  if (aDeny !== bDeny) return aDeny ? -1 : 1;
+  return Date.parse(b.updatedAt || 0) - Date.parse(a.updatedAt || 0);
+}
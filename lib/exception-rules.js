@@ -0,0 +1,378 @@
+// lib/exception-rules.js - Per-customer storage for manual exception rules
+// Each rule lives at `skio:exceptions:rule:<target>` with a `version` counter; the set
+// `skio:exceptions:index` lists every target that has a rule, and `skio:exceptions:scan`
+// the pattern and customer-ID targets that can't be found by key. Writes go through a
+// Lua script so version checks and index updates are atomic.
+import { kv } from './kv.js';
+import { logger } from './logger.js';
+import { compareRules, domainCandidates, getMatchType, getRuleState, isScannedMatchType, matchesPattern } from './exception-matching.js';
+
+export const EXCEPTION_RULE_PREFIX = 'skio:exceptions:rule:';
+export const EXCEPTION_INDEX_KEY = 'skio:exceptions:index';
+export const EXCEPTION_SCAN_INDEX_KEY = 'skio:exceptions:scan';
+export const LEGACY_RULES_KEY = 'skio:exceptions:rules';
+export const LEGACY_RULES_BACKUP_KEY = 'skio:exceptions:rules:migrated';
+export const EXCEPTION_ARCHIVE_KEY = 'skio:exceptions:archive';
+export const EXCEPTION_TRASH_PREFIX = 'skio:exceptions:trash:';
+export const EXCEPTION_TRASH_INDEX_KEY = 'skio:exceptions:trash';
+
+export const RESTORE_WINDOW_DAYS = 30;
+
+const MGET_CHUNK_SIZE = 500;
+
+// KEYS[1] = index set, KEYS[2] = scan set, KEYS[3..n+2] = rule keys
+// ARGV[1..n] = expected versions (-1 skips the check, 0 = must not exist yet)
+// ARGV[n+1..2n] = rule JSON without a version, or '' to delete
+// ARGV[2n+1..3n] = targets for the index
+// ARGV[3n+1..4n] = '1' if the target also belongs in the scan set
+// Returns {0, newVersion...} on success or {position, currentVersion} on conflict.
+const WRITE_RULES_SCRIPT = `
+local n = #KEYS - 2
+local current = {}
+for i = 1, n do
+  local stored = redis.call('GET', KEYS[i + 2])
+  local version = 0
+  if stored then
+    version = tonumber(string.match(stored, '^{"version":(%d+),')) or 1
+  end
+  local expected = tonumber(ARGV[i])
+  if expected >= 0 and expected ~= version then
+    return {i, version}
+  end
+  current[i] = version
+end
+local result = {0}
+for i = 1, n do
+  local payload = ARGV[n + i]
+  local target = ARGV[2 * n + i]
+  if payload == '' then
+    redis.call('DEL', KEYS[i + 2])
+    redis.call('SREM', KEYS[1], target)
+    redis.call('SREM', KEYS[2], target)
+    result[i + 1] = 0
+  else
+    local version = current[i] + 1
+    redis.call('SET', KEYS[i + 2], '{"version":' .. version .. ',' .. string.sub(payload, 2))
+    redis.call('SADD', KEYS[1], target)
+    if ARGV[3 * n + i] == '1' then
+      redis.call('SADD', KEYS[2], target)
+    end
+    result[i + 1] = version
+  end
+end
+return result
+`;
+
+// The scripts below remove one rule like a WRITE_RULES_SCRIPT delete and, in the same
+// step, keep a copy of it (trash or archive), so a failure can't lose the rule.
+// KEYS[1] = index set, KEYS[2] = scan set, KEYS[3] = rule key, KEYS[4] = where the copy goes.
+// ARGV[1] = expected version (-1 skips the check), ARGV[2] = target, ARGV[3] = copy JSON.
+// Returns -1 on success or the current version.
+const REMOVE_RULE_LUA = `
+local stored = redis.call('GET', KEYS[3])
+local version = 0
+if stored then
+  version = tonumber(string.match(stored, '^{"version":(%d+),')) or 1
+end
+local expected = tonumber(ARGV[1])
+if expected >= 0 and expected ~= version then return version end
+redis.call('DEL', KEYS[3])
+redis.call('SREM', KEYS[1], ARGV[2])
+redis.call('SREM', KEYS[2], ARGV[2])
+`;
+
+// KEYS[4] = trash key, KEYS[5] = trash index, ARGV[4] = trash TTL in seconds
+const TRASH_RULE_SCRIPT = `${REMOVE_RULE_LUA}
+redis.call('SET', KEYS[4], ARGV[3], 'EX', ARGV[4])
+redis.call('SADD', KEYS[5], ARGV[2])
+return -1
+`;
+
+// KEYS[4] = archive list
+const ARCHIVE_RULE_SCRIPT = `${REMOVE_RULE_LUA}
+redis.call('LPUSH', KEYS[4], ARGV[3])
+return -1
+`;
+
+export class RuleConflictError extends Error {
+  constructor(email, currentVersion) {
+    super(`Rule for ${email} was changed by someone else`);
+    this.name = 'RuleConflictError';
+    this.email = email;
+    this.currentVersion = currentVersion;
+  }
+}
+
+export function ruleKey(email) {
+  return `${EXCEPTION_RULE_PREFIX}${email}`;
+}
+
+function stripIdentity(rule) {
+  const { email, version, ...fields } = rule;
+  return fields;
+}
+
+function parseStored(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Apply creates, updates and deletes atomically.
+ * `writes` is a list of `{ email, rule, expectedVersion }`; `rule: null` deletes, and an
+ * `expectedVersion` of undefined skips the check. Throws RuleConflictError if any
+ * expected version doesn't match, in which case nothing is written.
+ * Returns the saved rules (with their new versions) in the same order.
+ */
+export async function writeRules(writes) {
+  if (!writes.length) return [];
+
+  const keys = [EXCEPTION_INDEX_KEY, EXCEPTION_SCAN_INDEX_KEY, ...writes.map(({ email }) => ruleKey(email))];
+  const args = [
+    ...writes.map(({ expectedVersion }) => String(Number.isInteger(expectedVersion) ? expectedVersion : -1)),
+    ...writes.map(({ rule }) => (rule ? JSON.stringify(stripIdentity(rule)) : '')),
+    ...writes.map(({ email }) => email),
+    ...writes.map(({ email }) => (isScannedMatchType(getMatchType(email)) ? '1' : '0'))
+  ];
+
+  const [status, ...versions] = (await kv.eval(WRITE_RULES_SCRIPT, keys, args)).map(Number);
+  if (status !== 0) {
+    throw new RuleConflictError(writes[status - 1].email, versions[0]);
+  }
+
+  return writes.map(({ email, rule }, i) => (rule ? { email, ...stripIdentity(rule), version: versions[i] } : null));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LEGACY MIGRATION
+// Rules used to live in one JSON blob. The first call on each instance moves any
+// blob entries into per-email keys (never overwriting newer rules) and keeps a backup.
+// ═══════════════════════════════════════════════════════════════
+let migrationPromise = null;
+
+export async function migrateLegacyRules() {
+  const legacy = await kv.get(LEGACY_RULES_KEY);
+  if (!legacy || typeof legacy !== 'object') return { migrated: 0, skipped: 0 };
+
+  let migrated = 0;
+  let skipped = 0;
+  for (const [email, rule] of Object.entries(legacy)) {
+    try {
+      await writeRules([{ email, rule, expectedVersion: 0 }]);
+      migrated++;
+    } catch (e) {
+      if (!(e instanceof RuleConflictError)) throw e;
+      skipped++; // A per-email rule already exists and wins
+    }
+  }
+
+  await kv.set(LEGACY_RULES_BACKUP_KEY, legacy);
+  await kv.del(LEGACY_RULES_KEY);
+  logger.info('Migrated legacy exception rules', { migrated, skipped });
+  return { migrated, skipped };
+}
+
+function ensureMigrated() {
+  if (!migrationPromise) {
+    migrationPromise = migrateLegacyRules().catch((e) => {
+      migrationPromise = null; // Retry on the next call
+      throw e;
+    });
+  }
+  return migrationPromise;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// READS
+// ═══════════════════════════════════════════════════════════════
+export async function getRule(email) {
+  await ensureMigrated();
+  const rule = parseStored(await kv.get(ruleKey(email)));
+  return rule ? { ...rule, email } : null;
+}
+
+export async function listRules() {
+  await ensureMigrated();
+  const emails = await kv.smembers(EXCEPTION_INDEX_KEY);
+  const list = Array.isArray(emails) ? emails : [];
+
+  const rules = [];
+  for (let i = 0; i < list.length; i += MGET_CHUNK_SIZE) {
+    const chunk = list.slice(i, i + MGET_CHUNK_SIZE);
+    const values = await kv.mget(...chunk.map(ruleKey));
+    values.forEach((value, j) => {
+      const rule = parseStored(value);
+      if (rule) rules.push({ ...rule, email: chunk[j], matchType: getMatchType(chunk[j]) });
+    });
+  }
+  return rules;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MATCHING
+// Exact email and domain rules are looked up by key; pattern and customer-ID rules
+// come from the scan set, which stays small because agents can't create patterns.
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Collect every rule that applies to a customer, ordered by precedence (see
+ * lib/exception-matching.js). `resolveCustomerIds(email)` is only called when ID rules
+ * exist and should return `{ shopifyCustomerId, skioUserId }`.
+ * Returns `{ winner, candidates }`; paused, scheduled or expired candidates are listed but never win.
+ */
+export async function findMatchingRules(emailLower, { resolveCustomerIds = null } = {}) {
+  await ensureMigrated();
+  const scanned = await kv.smembers(EXCEPTION_SCAN_INDEX_KEY);
+  const scanList = Array.isArray(scanned) ? scanned : [];
+
+  const targets = [emailLower, ...domainCandidates(emailLower)];
+  const idTargets = [];
+  for (const target of scanList) {
+    const matchType = getMatchType(target);
+    if (matchType === 'pattern') {
+      if (matchesPattern(target, emailLower)) targets.push(target);
+    } else {
+      idTargets.push(target);
+    }
+  }
+
+  if (idTargets.length && resolveCustomerIds) {
+    try {
+      const ids = await resolveCustomerIds(emailLower);
+      const ownTargets = [
+        ids?.shopifyCustomerId && `shopify:${ids.shopifyCustomerId}`,
+        ids?.skioUserId && `skio:${String(ids.skioUserId).toLowerCase()}`
+      ];
+      targets.push(...ownTargets.filter((target) => target && idTargets.includes(target)));
+    } catch (e) {
+      logger.warn('Customer ID lookup failed, skipping ID rules', { error: e.message });
+    }
+  }
+
+  const now = Date.now();
+  const values = await kv.mget(...targets.map(ruleKey));
+  const candidates = values
+    .map((value, i) => {
+      const rule = parseStored(value);
+      if (!rule) return null;
+      const state = getRuleState(rule, now);
+      return { ...rule, email: targets[i], matchType: getMatchType(targets[i]), state, isActive: state === 'active' };
+    })
+    .filter(Boolean)
+    .sort(compareRules);
+
+  return { winner: candidates.find((rule) => rule.isActive) || null, candidates };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ARCHIVING
+// Expired rules are moved out of the live set onto `skio:exceptions:archive`
+// (newest first) so the admin table and the match scan stay small.
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Archive every rule that expired at least `olderThanMs` ago. Paused rules are left alone.
+ * Each rule is removed and archived in one step with its current version, so a rule edited
+ * mid-run is skipped and a run cut short loses nothing. `onArchived(rule)` is awaited after
+ * each one. Returns the archived rules.
+ */
+export async function archiveExpiredRules({ now = Date.now(), olderThanMs = 0, onArchived } = {}) {
+  const cutoff = now - olderThanMs;
+  const expired = (await listRules()).filter((rule) => (
+    getRuleState(rule, now) === 'expired' && Date.parse(rule.expiresAt) <= cutoff
+  ));
+
+  const archivedAt = new Date(now).toISOString();
+  const archived = [];
+  for (const rule of expired) {
+    const keys = [EXCEPTION_INDEX_KEY, EXCEPTION_SCAN_INDEX_KEY, ruleKey(rule.email), EXCEPTION_ARCHIVE_KEY];
+    const result = Number(await kv.eval(ARCHIVE_RULE_SCRIPT, keys, [
+      String(rule.version),
+      rule.email,
+      JSON.stringify({ ...rule, archivedAt })
+    ]));
+    // Otherwise extended or edited while we were running; it'll be reconsidered next time
+    if (result === -1) {
+      archived.push(rule);
+      if (onArchived) await onArchived(rule);
+    }
+  }
+  return archived;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SOFT DELETE
+// Deleted rules are kept at `skio:exceptions:trash:<target>` for RESTORE_WINDOW_DAYS
+// and then expire on their own; the trash index may briefly list expired entries.
+// ═══════════════════════════════════════════════════════════════
+function trashKey(email) {
+  return `${EXCEPTION_TRASH_PREFIX}${email}`;
+}
+
+/**
+ * Delete a rule (checking `expectedVersion`) and keep a restorable copy, in one atomic
+ * step. Throws RuleConflictError if the version doesn't match.
+ */
+export async function softDeleteRule(rule, { expectedVersion, deletedBy }) {
+  const deletedAt = new Date();
+  const restoreUntil = new Date(deletedAt.getTime() + RESTORE_WINDOW_DAYS * 86400000);
+  const entry = { ...rule, deletedAt: deletedAt.toISOString(), deletedBy, restoreUntil: restoreUntil.toISOString() };
+
+  const keys = [EXCEPTION_INDEX_KEY, EXCEPTION_SCAN_INDEX_KEY, ruleKey(rule.email), trashKey(rule.email), EXCEPTION_TRASH_INDEX_KEY];
+  const result = Number(await kv.eval(TRASH_RULE_SCRIPT, keys, [
+    String(Number.isInteger(expectedVersion) ? expectedVersion : -1),
+    rule.email,
+    JSON.stringify(entry),
+    String(RESTORE_WINDOW_DAYS * 86400)
+  ]));
+  if (result !== -1) throw new RuleConflictError(rule.email, result);
+  return entry;
+}
+
+export async function getDeletedRule(email) {
+  const entry = parseStored(await kv.get(trashKey(email)));
+  return entry ? { ...entry, email } : null;
+}
+
+export async function listDeletedRules() {
+  const emails = await kv.smembers(EXCEPTION_TRASH_INDEX_KEY);
+  const list = Array.isArray(emails) ? emails : [];
+  if (!list.length) return [];
+
+  const deleted = [];
+  const gone = [];
+  for (let i = 0; i < list.length; i += MGET_CHUNK_SIZE) {
+    const chunk = list.slice(i, i + MGET_CHUNK_SIZE);
+    const values = await kv.mget(...chunk.map(trashKey));
+    values.forEach((value, j) => {
+      const entry = parseStored(value);
+      if (entry) deleted.push({ ...entry, email: chunk[j] });
+      else gone.push(chunk[j]);
+    });
+  }
+  if (gone.length) {
+    kv.srem(EXCEPTION_TRASH_INDEX_KEY, ...gone)
+      .catch(e => logger.warn('Trash index cleanup failed', { error: e.message }));
+  }
+  return deleted.sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+}
+
+/**
+ * Put a soft-deleted rule back. Fails with RuleConflictError if a new rule has been
+ * created for the same target in the meantime. Returns the restored rule, or null if
+ * the restore window has passed.
+ */
+export async function restoreDeletedRule(email, { restoredBy }) {
+  const entry = await getDeletedRule(email);
+  if (!entry) return null;
+
+  const { deletedAt, deletedBy, restoreUntil, ...rule } = entry;
+  const [restored] = await writeRules([{
+    email,
+    rule: { ...rule, updatedAt: new Date().toISOString(), addedBy: restoredBy },
+    expectedVersion: 0
+  }]);
+  await kv.del(trashKey(email));
+  await kv.srem(EXCEPTION_TRASH_INDEX_KEY, email);
+  return restored;
+}
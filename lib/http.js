@@ -0,0 +1,28 @@
+// lib/http.js - Small request/response helpers shared by the API routes
+import { kv } from './kv.js';
+
+export function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return req.body;
+}
+
+export function getClientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+export function ensureKV(res) {
+  if (kv) return true;
+  res.status(500).json({
+    error: 'KV not configured',
+    message: 'This endpoint requires Vercel KV/Upstash to be configured.'
+  });
+  return false;
+}
@@ -0,0 +1,70 @@
+// lib/keys.js - Per-customer KV key construction
+// Emails are never stored in key names. Keys embed a keyed HMAC-SHA256 of the
+// normalized email so customers can't collide or be enumerated from KV.
+//
+// Migration: keys carry a version segment (`skio:sub:v2:<hash>`). Entries written
+// under the old 32-bit hash (`skio:sub:<hash>`) are never read again and age out
+// on their own TTLs (at most 1 hour), so no backfill is needed.
+//
+// An unkeyed hash of an email can be reversed with a list of addresses, so production
+// refuses to build keys without KV_KEY_PEPPER; local development falls back with a warning.
+// Durable records (reservations) never fall back: a record keyed without the pepper would
+// be orphaned as soon as one is set.
+import { createHmac, createHash } from 'node:crypto';
+
+const KEY_VERSION = 'v2';
+
+let warnedMissingPepper = false;
+
+export class MissingKeyPepperError extends Error {
+  constructor(message = 'KV_KEY_PEPPER is not configured; refusing to hash customer emails without it in production') {
+    super(message);
+    this.name = 'MissingKeyPepperError';
+  }
+}
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+}
+
+/** False when customer keys can't be built (no pepper in production). */
+export function isKeyHashingAvailable() {
+  return hasKeyPepper() || !isProduction();
+}
+
+/** True when KV_KEY_PEPPER is set, in any environment. */
+export function hasKeyPepper() {
+  return Boolean((process.env.KV_KEY_PEPPER || '').trim());
+}
+
+function getPepper() {
+  const pepper = (process.env.KV_KEY_PEPPER || '').trim();
+  if (pepper) return pepper;
+  if (isProduction()) throw new MissingKeyPepperError();
+  if (!warnedMissingPepper) {
+    warnedMissingPepper = true;
+    console.warn('KV_KEY_PEPPER not configured - falling back to unkeyed SHA-256 for KV keys (development only)');
+  }
+  return pepper;
+}
+
+export function hashIdentifier(value) {
+  const pepper = getPepper();
+  const digest = pepper
+    ? createHmac('sha256', pepper).update(value).digest('hex')
+    : createHash('sha256').update(value).digest('hex');
+  // 128 bits is plenty for uniqueness and keeps keys short
+  return digest.slice(0, 32);
+}
+
+export function customerKey(prefix, emailLower) {
+  return `${prefix}:${KEY_VERSION}:${hashIdentifier(emailLower)}`;
+}
+
+/** `customerKey` for records without a TTL; throws instead of using an unkeyed hash. */
+export function durableCustomerKey(prefix, emailLower) {
+  if (!hasKeyPepper()) {
+    throw new MissingKeyPepperError('KV_KEY_PEPPER is not configured; reservation records are not keyed without it');
+  }
+  return customerKey(prefix, emailLower);
+}
@@ -0,0 +1,187 @@
+// lib/klaviyo-outbox.js - Durable outbox for Klaviyo calls that failed
+// A failed call is stored with its payload at `klaviyo:outbox:<id>` (no TTL) and listed in
+// the `klaviyo:outbox` set. The cron run of /api/klaviyo-outbox sends due entries again
+// with exponential backoff; entries that keep failing, or fail with a client error, are
+// marked `dead` and wait for someone to replay or discard them from the admin page.
+import { randomUUID } from 'node:crypto';
+import { kv } from './kv.js';
+import { logger } from './logger.js';
+import { getKlaviyoApiKey, isKlaviyoSuccess, isRetryableStatus, KLAVIYO_CALLS, sendKlaviyo } from './klaviyo.js';
+
+export const OUTBOX_INDEX_KEY = 'klaviyo:outbox';
+const OUTBOX_PREFIX = 'klaviyo:outbox:';
+const LOCK_PREFIX = 'klaviyo:outbox:lock:';
+
+export const MAX_ATTEMPTS = 10;
+const BASE_DELAY_MS = 60 * 1000;          // 1 minute after the first failure...
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;  // ...doubling up to 6 hours
+const LOCK_TTL_SECONDS = 60;
+const MGET_CHUNK_SIZE = 100;
+const MAX_ERROR_LENGTH = 500;
+
+function entryKey(id) {
+  return `${OUTBOX_PREFIX}${id}`;
+}
+
+export function isValidOutboxId(id) {
+  return /^[0-9a-f-]{36}$/.test(String(id || ''));
+}
+
+function backoffMs(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+}
+
+async function describeFailure(response, error) {
+  if (!response) return { lastStatus: null, lastError: String(error?.message || error || 'unknown error').slice(0, MAX_ERROR_LENGTH) };
+  const body = await response.text().catch(() => '');
+  return { lastStatus: response.status, lastError: `HTTP ${response.status}${body ? `: ${body}` : ''}`.slice(0, MAX_ERROR_LENGTH) };
+}
+
+function withFailure(entry, { lastStatus, lastError }, now = Date.now()) {
+  const attempts = (entry.attempts || 0) + 1;
+  const dead = attempts >= MAX_ATTEMPTS || !isRetryableStatus(lastStatus);
+  return {
+    ...entry,
+    attempts,
+    status: dead ? 'dead' : 'pending',
+    nextAttemptAt: dead ? null : new Date(now + backoffMs(attempts)).toISOString(),
+    lastStatus,
+    lastError,
+    updatedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Store a call that just failed. Pass the Response it returned, or the error it threw.
+ * `context` is shown in the admin view (e.g. `{ reservationId, sessionId }`).
+ */
+export async function enqueueKlaviyoCall({ call, payload, email, context = {}, response = null, error = null }) {
+  const now = new Date().toISOString();
+  const entry = withFailure({
+    id: randomUUID(),
+    call,
+    payload,
+    email,
+    context,
+    attempts: 0,
+    createdAt: now
+  }, await describeFailure(response, error));
+
+  await kv.set(entryKey(entry.id), entry);
+  await kv.sadd(OUTBOX_INDEX_KEY, entry.id);
+  logger.warn('Klaviyo call queued for retry', { call, id: entry.id, status: entry.status, error: entry.lastError });
+  return entry;
+}
+
+/**
+ * Send a call now and queue it if that fails. Returns `ok`, `queued`, or `failed` when
+ * it couldn't even be queued. Never throws.
+ */
+export async function sendOrQueueKlaviyoCall({ call, payload, email, context = {} }) {
+  let response = null;
+  let error = null;
+  try {
+    response = await sendKlaviyo(call, payload);
+    if (isKlaviyoSuccess(response)) return 'ok';
+  } catch (e) {
+    error = e;
+  }
+  try {
+    await enqueueKlaviyoCall({ call, payload, email, context, response, error });
+    return 'queued';
+  } catch (e) {
+    logger.error('Klaviyo call failed and could not be queued', { call, status: response?.status, error: error?.message, queueError: e.message });
+    return 'failed';
+  }
+}
+
+export async function getOutboxEntry(id) {
+  return kv.get(entryKey(id));
+}
+
+/** Every entry, oldest first. */
+export async function listOutboxEntries() {
+  const ids = await kv.smembers(OUTBOX_INDEX_KEY);
+  const list = Array.isArray(ids) ? ids : [];
+  const entries = [];
+  const gone = [];
+  for (let i = 0; i < list.length; i += MGET_CHUNK_SIZE) {
+    const chunk = list.slice(i, i + MGET_CHUNK_SIZE);
+    const values = await kv.mget(...chunk.map(entryKey));
+    values.forEach((value, j) => {
+      if (value && typeof value === 'object') entries.push(value);
+      else gone.push(chunk[j]);
+    });
+  }
+  if (gone.length) {
+    kv.srem(OUTBOX_INDEX_KEY, ...gone)
+      .catch(e => logger.warn('Outbox index cleanup failed', { error: e.message }));
+  }
+  return entries.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+export async function discardOutboxEntry(id) {
+  const removed = await kv.del(entryKey(id));
+  await kv.srem(OUTBOX_INDEX_KEY, id);
+  return removed > 0;
+}
+
+/**
+ * Send one entry again. Delivered entries are removed; failures are rescheduled or
+ * marked dead. A per-entry lock keeps the cron and a manual replay from both sending it.
+ * `restartBackoff` (manual replays) gives a failing entry a fresh set of attempts.
+ * Returns `{ result: 'delivered' | 'failed' | 'dead' | 'busy' | 'missing', entry }`.
+ */
+export async function deliverOutboxEntry(id, { apiKey = getKlaviyoApiKey(), restartBackoff = false } = {}) {
+  const locked = await kv.set(`${LOCK_PREFIX}${id}`, Date.now(), { nx: true, ex: LOCK_TTL_SECONDS });
+  if (!locked) return { result: 'busy', entry: null };
+
+  try {
+    const entry = await getOutboxEntry(id);
+    if (!entry) return { result: 'missing', entry: null };
+    if (!KLAVIYO_CALLS[entry.call]) {
+      const dead = { ...entry, status: 'dead', lastError: `Unknown Klaviyo call: ${entry.call}`, updatedAt: new Date().toISOString() };
+      await kv.set(entryKey(id), dead);
+      return { result: 'dead', entry: dead };
+    }
+
+    let response = null;
+    let error = null;
+    try {
+      response = await sendKlaviyo(entry.call, entry.payload, { apiKey });
+    } catch (e) {
+      error = e;
+    }
+
+    if (isKlaviyoSuccess(response)) {
+      await discardOutboxEntry(id);
+      logger.info('Queued Klaviyo call delivered', { call: entry.call, id, attempts: (entry.attempts || 0) + 1 });
+      return { result: 'delivered', entry };
+    }
+
+    const updated = withFailure(restartBackoff ? { ...entry, attempts: 0 } : entry, await describeFailure(response, error));
+    await kv.set(entryKey(id), updated);
+    logger.warn('Queued Klaviyo call failed again', { call: entry.call, id, attempts: updated.attempts, status: updated.status, error: updated.lastError });
+    return { result: updated.status === 'dead' ? 'dead' : 'failed', entry: updated };
+  } finally {
+    await kv.del(`${LOCK_PREFIX}${id}`).catch(() => {});
+  }
+}
+
+/**
+ * Send pending entries whose `nextAttemptAt` has passed, oldest first, one at a time.
+ * Returns how many were attempted and the count for each result.
+ */
+export async function processOutbox({ limit = 25, now = Date.now() } = {}) {
+  const due = (await listOutboxEntries())
+    .filter((entry) => entry.status === 'pending' && Date.parse(entry.nextAttemptAt) <= now)
+    .slice(0, limit);
+
+  const counts = { delivered: 0, failed: 0, dead: 0, busy: 0, missing: 0 };
+  const apiKey = getKlaviyoApiKey();
+  for (const entry of due) {
+    const { result } = await deliverOutboxEntry(entry.id, { apiKey });
+    counts[result] += 1;
+  }
+  return { attempted: due.length, ...counts };
+}
@@ -0,0 +1,94 @@
+// lib/klaviyo.js - Klaviyo API calls shared by the reservation flow and the outbox
+// Each call is named (`profile`, `profile-import`, `subscribe`, `event`) so it can be timed for /api/metrics
+// and stored in the outbox as `{ call, payload }` to be sent again later.
+import { incrementCounter, observeLatency } from './metrics.js';
+
+export const KLAVIYO_API_URL = 'https://a.klaviyo.com/api';
+export const KLAVIYO_REVISION = '2024-10-15';
+const KLAVIYO_TIMEOUT_MS = 20000;
+
+export const KLAVIYO_CALLS = {
+  profile: '/profiles/',
+  'profile-import': '/profile-import/', // Creates or updates; `profile` leaves existing profiles alone
+  subscribe: '/profile-subscription-bulk-create-jobs/',
+  event: '/events/'
+};
+
+export function getKlaviyoApiKey() {
+  return (process.env.KLAVIYO_PRIVATE_KEY || '').trim();
+}
+
+/** 409 on profile create means the profile already exists, which is fine. */
+export function isKlaviyoSuccess(response) {
+  return Boolean(response?.ok) || response?.status === 409;
+}
+
+/** Client errors won't succeed on a retry; 408 and 429 will. */
+export function isRetryableStatus(status) {
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * POST `payload` for a named call. Resolves with the fetch Response whatever its status;
+ * rejects on network errors and on timeout (AbortError).
+ */
+export async function sendKlaviyo(call, payload, { apiKey = getKlaviyoApiKey(), timeoutMs = KLAVIYO_TIMEOUT_MS } = {}) {
+  const path = KLAVIYO_CALLS[call];
+  if (!path) throw new Error(`Unknown Klaviyo call: ${call}`);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const start = Date.now();
+  let outcome = 'error';
+  try {
+    const response = await fetch(`${KLAVIYO_API_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Authorization': `Klaviyo-API-Key ${apiKey}`,
+        'revision': KLAVIYO_REVISION
+      },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    outcome = isKlaviyoSuccess(response) ? 'ok' : `http_${Math.floor(response.status / 100)}xx`;
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') outcome = 'timeout';
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+    incrementCounter('klaviyo_requests_total', { call, outcome });
+    observeLatency('klaviyo_latency_ms', { call }, Date.now() - start);
+  }
+}
+
+/**
+ * Payload for the `event` call. `uniqueId` lets Klaviyo drop repeats, so a retried or
+ * replayed event is only counted once.
+ */
+export function buildEventPayload(metric, email, properties, { time = new Date().toISOString(), uniqueId } = {}) {
+  return {
+    data: {
+      type: 'event',
+      attributes: {
+        metric: { data: { type: 'metric', attributes: { name: metric } } },
+        profile: { data: { type: 'profile', attributes: { email } } },
+        properties,
+        time,
+        ...(uniqueId && { unique_id: uniqueId })
+      }
+    }
+  };
+}
+
+/** Payload for the `profile-import` call, which overwrites the given profile properties. */
+export function buildProfileUpdatePayload(email, properties) {
+  return {
+    data: {
+      type: 'profile',
+      attributes: { email, properties }
+    }
+  };
+}
@@ -0,0 +1,117 @@
+// lib/kv.js - Shared KV client (Upstash Redis via Vercel Marketplace, or plain Redis)
+// `kv` is null when no store is configured; callers must degrade gracefully.
+
+export let kv = null;
+
+try {
+  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+    const kvModule = await import('@vercel/kv');
+    kv = kvModule.kv;
+  } else if (process.env.EXCEPTIONS_KV_REDIS_URL || process.env.REDIS_URL) {
+    const redisUrl = process.env.EXCEPTIONS_KV_REDIS_URL || process.env.REDIS_URL;
+    const redisModule = await import('ioredis');
+    const Redis = redisModule.default;
+    const redis = new Redis(redisUrl, {
+      maxRetriesPerRequest: 1,
+      enableReadyCheck: false
+    });
+
+    // Compatibility wrapper so @vercel/kv-style calls work against ioredis.
+    kv = {
+      async get(key) {
+        const value = await redis.get(key);
+        if (value === null || value === undefined) return null;
+        try {
+          return JSON.parse(value);
+        } catch {
+          return value;
+        }
+      },
+      async set(key, value, options = {}) {
+        const payload = typeof value === 'string' ? value : JSON.stringify(value);
+        const args = options?.ex ? ['EX', options.ex] : [];
+        if (options?.nx) args.push('NX');
+        return redis.set(key, payload, ...args);
+      },
+      async mget(...keys) {
+        const values = await redis.mget(...keys);
+        return values.map((value) => {
+          if (value === null || value === undefined) return null;
+          try {
+            return JSON.parse(value);
+          } catch {
+            return value;
+          }
+        });
+      },
+      async del(...keys) {
+        return redis.del(...keys);
+      },
+      async incr(key) {
+        return redis.incr(key);
+      },
+      async expire(key, ttlSeconds) {
+        return redis.expire(key, ttlSeconds);
+      },
+      async ttl(key) {
+        return redis.ttl(key);
+      },
+      async hgetall(key) {
+        const hash = await redis.hgetall(key);
+        if (!hash || !Object.keys(hash).length) return null;
+        return Object.fromEntries(Object.entries(hash).map(([field, value]) => {
+          try {
+            return [field, JSON.parse(value)];
+          } catch {
+            return [field, value];
+          }
+        }));
+      },
+      async hget(key, field) {
+        const value = await redis.hget(key, field);
+        if (value === null || value === undefined) return null;
+        try {
+          return JSON.parse(value);
+        } catch {
+          return value;
+        }
+      },
+      async hsetnx(key, field, value) {
+        return redis.hsetnx(key, field, typeof value === 'string' ? value : JSON.stringify(value));
+      },
+      async hdel(key, ...fields) {
+        return redis.hdel(key, ...fields);
+      },
+      async sadd(key, ...members) {
+        return redis.sadd(key, ...members);
+      },
+      async srem(key, ...members) {
+        return redis.srem(key, ...members);
+      },
+      async smembers(key) {
+        return redis.smembers(key);
+      },
+      async sismember(key, member) {
+        return redis.sismember(key, member);
+      },
+      async eval(script, keys, args) {
+        return redis.eval(script, keys.length, ...keys, ...args);
+      },
+      async lpush(key, ...values) {
+        return redis.lpush(key, ...values.map((value) => (typeof value === 'string' ? value : JSON.stringify(value))));
+      },
+      async lrange(key, start, stop) {
+        const values = await redis.lrange(key, start, stop);
+        return values.map((value) => {
+          try {
+            return JSON.parse(value);
+          } catch {
+            return value;
+          }
+        });
+      }
+    };
+  }
+} catch (e) {
+  console.warn('KV not available:', e.message);
+}
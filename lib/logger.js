@@ -0,0 +1,101 @@
+// lib/logger.js - Structured JSON logs with request IDs and PII redaction
+// Each line is one JSON object: { time, level, msg, requestId, ...fields }. The request
+// ID is carried through async calls with AsyncLocalStorage, so helpers deep in a request
+// don't need it passed in. Emails are replaced with a short keyed hash (the same HMAC
+// as KV key names, so a log line can be matched to a customer's keys); names and
+// location fields are masked. LOG_LEVEL picks the minimum level (default `info`).
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { hashIdentifier, isKeyHashingAvailable } from './keys.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const MAX_DEPTH = 5;
+const REDACTED = '[redacted]';
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+const EMAIL_FIELDS = /email/i;
+const MASKED_FIELDS = new Set([
+  'firstname', 'lastname', 'first_name', 'last_name', 'fullname', 'full_name', 'phone',
+  'location', 'locationdata', 'address', 'city', 'region', 'country', 'zip', 'latitude', 'longitude', 'timezone'
+]);
+
+const requestContext = new AsyncLocalStorage();
+
+function minimumLevel() {
+  const configured = String(process.env.LOG_LEVEL || 'info').trim().toLowerCase();
+  return LEVELS[configured] ?? LEVELS.info;
+}
+
+export function redactEmail(email) {
+  // Without a pepper (refused in production) the hash could be reversed, so drop it
+  if (!isKeyHashingAvailable()) return '<email>';
+  return `<email:${hashIdentifier(String(email).toLowerCase().trim()).slice(0, 12)}>`;
+}
+
+function redactString(value) {
+  return value.replace(EMAIL_RE, redactEmail);
+}
+
+/** Deep copy of `value` with emails hashed and personal fields masked. */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message || ''), stack: value.stack ? redactString(value.stack) : undefined };
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (MASKED_FIELDS.has(key.toLowerCase())) {
+      result[key] = field === undefined || field === null || field === '' ? field : REDACTED;
+    } else if (EMAIL_FIELDS.test(key) && typeof field === 'string') {
+      result[key] = field ? redactEmail(field) : field;
+    } else {
+      result[key] = redact(field, depth + 1);
+    }
+  }
+  return result;
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) return;
+
+  const context = requestContext.getStore();
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(message)),
+    ...(context && { requestId: context.requestId }),
+    ...redact(fields)
+  });
+
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+export function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+/**
+ * Run `fn` with a request ID attached to every log line it produces. Reuses a sane
+ * incoming `X-Request-Id` (e.g. from a load balancer) and echoes it on the response.
+ */
+export function withRequestContext(req, res, fn) {
+  const incoming = String(req.headers['x-request-id'] || '').trim();
+  const requestId = REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+  return requestContext.run({ requestId }, fn);
+}
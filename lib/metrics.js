@@ -0,0 +1,220 @@
+// lib/metrics.js - Counters and latency histograms aggregated in KV
+// Handlers record into an in-memory buffer; flushMetrics() adds it to one KV hash in a
+// single round trip. Hash fields are Prometheus series (`name{label="value"}`), so the
+// text exposition is a straight dump. Label values must come from small fixed sets.
+import { kv } from './kv.js';
+import { logger } from './logger.js';
+
+export const METRICS_KEY = 'skio:metrics';
+
+// Milliseconds; the last bucket is +Inf
+const LATENCY_BUCKETS_MS = [25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 20000];
+
+export const METRIC_DEFINITIONS = {
+  skio_cache_requests_total: { type: 'counter', help: 'Storefront subscription lookups by X-Cache outcome' },
+  skio_rate_limited_total: { type: 'counter', help: 'Requests rejected with 429, by action' },
+  skio_exception_rule_hits_total: { type: 'counter', help: 'Exception rules that decided a lookup or reservation' },
+  skio_upstream_requests_total: { type: 'counter', help: 'Skio requests after retries, by outcome' },
+  skio_upstream_attempts_total: { type: 'counter', help: 'Individual Skio attempts, including retries, by outcome' },
+  skio_upstream_retries_total: { type: 'counter', help: 'Skio retries' },
+  skio_upstream_latency_ms: { type: 'histogram', help: 'Latency of individual Skio attempts' },
+  skio_circuit_breaker_trips_total: { type: 'counter', help: 'Times the Skio circuit breaker opened' },
+  skio_circuit_breaker_rejections_total: { type: 'counter', help: 'Skio requests rejected by the open circuit breaker' },
+  skio_customer_id_lookups_total: { type: 'counter', help: 'Skio customer ID lookups for ID exception rules by outcome' },
+  skio_verifications_total: { type: 'counter', help: 'Reservation eligibility verifications by source and code' },
+  skio_reservations_total: { type: 'counter', help: 'Class reservation attempts by result and code' },
+  klaviyo_requests_total: { type: 'counter', help: 'Klaviyo API calls by call and outcome' },
+  klaviyo_latency_ms: { type: 'histogram', help: 'Latency of Klaviyo API calls' }
+};
+
+const FLUSH_SCRIPT = `
+for i = 1, #ARGV, 2 do
+  redis.call('HINCRBY', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+return 0
+`;
+
+let pending = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function seriesName(name, labels = {}) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `${name}{${pairs.join(',')}}` : name;
+}
+
+function add(series, amount) {
+  pending.set(series, (pending.get(series) || 0) + amount);
+}
+
+export function incrementCounter(name, labels = {}, amount = 1) {
+  if (METRIC_DEFINITIONS[name]?.type !== 'counter') {
+    logger.warn('Unknown counter', { name });
+    return;
+  }
+  add(seriesName(name, labels), amount);
+}
+
+export function observeLatency(name, labels = {}, ms) {
+  if (METRIC_DEFINITIONS[name]?.type !== 'histogram') {
+    logger.warn('Unknown histogram', { name });
+    return;
+  }
+  const value = Math.max(0, Math.round(ms));
+  // Untouched buckets still get a 0 so every series exists
+  for (const le of LATENCY_BUCKETS_MS) {
+    add(seriesName(`${name}_bucket`, { ...labels, le }), value <= le ? 1 : 0);
+  }
+  add(seriesName(`${name}_bucket`, { ...labels, le: '+Inf' }), 1);
+  add(seriesName(`${name}_sum`, labels), value);
+  add(seriesName(`${name}_count`, labels), 1);
+}
+
+/**
+ * Write buffered metrics to KV. Never throws; on failure the buffer is kept and retried
+ * with the next flush from this instance.
+ */
+export async function flushMetrics() {
+  if (!kv || !pending.size) return;
+  const batch = pending;
+  pending = new Map();
+  try {
+    await kv.eval(FLUSH_SCRIPT, [METRICS_KEY], [...batch].flat().map(String));
+  } catch (e) {
+    logger.warn('Metrics flush failed', { error: e.message });
+    for (const [series, amount] of batch) add(series, amount);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// READING
+// ═══════════════════════════════════════════════════════════════
+const SERIES_RE = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?$/;
+const LABEL_RE = /([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\.)*)"/g;
+
+function parseSeries(series) {
+  const match = SERIES_RE.exec(series);
+  if (!match) return null;
+  const labels = {};
+  for (const [, key, value] of (match[2] || '').matchAll(LABEL_RE)) {
+    labels[key] = value.replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+  }
+  return { name: match[1], labels };
+}
+
+function baseName(name) {
+  const base = name.replace(/_(bucket|sum|count)$/, '');
+  return METRIC_DEFINITIONS[base]?.type === 'histogram' ? base : name;
+}
+
+/** Every stored series as `[series, value]`, sorted by series. */
+export async function readMetrics() {
+  const stored = (await kv.hgetall(METRICS_KEY)) || {};
+  return Object.entries(stored)
+    .map(([series, value]) => [series, Number(value) || 0])
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Prometheus text exposition (version 0.0.4). `gauges` adds values computed at scrape
+ * time: `{ name: { help, samples: [[labels, value], ...] } }`.
+ */
+export function formatPrometheus(entries, gauges = {}) {
+  const byMetric = new Map();
+  for (const [series, value] of entries) {
+    const parsed = parseSeries(series);
+    if (!parsed) continue;
+    const metric = baseName(parsed.name);
+    if (!byMetric.has(metric)) byMetric.set(metric, []);
+    byMetric.get(metric).push(`${series} ${value}`);
+  }
+
+  const lines = [];
+  for (const [metric, samples] of byMetric) {
+    const definition = METRIC_DEFINITIONS[metric];
+    if (definition) {
+      lines.push(`# HELP ${metric} ${definition.help}`, `# TYPE ${metric} ${definition.type}`);
+    }
+    lines.push(...samples);
+  }
+  for (const [metric, { help, samples }] of Object.entries(gauges)) {
+    lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} gauge`);
+    lines.push(...samples.map(([labels, value]) => `${seriesName(metric, labels)} ${value}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function estimateQuantile(buckets, count, quantile) {
+  if (!count) return null;
+  const target = count * quantile;
+  const finite = buckets.filter((bucket) => bucket.le !== '+Inf').sort((a, b) => Number(a.le) - Number(b.le));
+  const hit = finite.find((bucket) => bucket.count >= target);
+  return hit ? Number(hit.le) : null; // null: above the largest bucket
+}
+
+/**
+ * Structured view for the dashboard: counters as `{ name, labels, value }`, histograms
+ * with their buckets, plus a summary of the numbers people ask about most.
+ */
+export function formatJson(entries) {
+  const counters = [];
+  const histograms = new Map();
+
+  for (const [series, value] of entries) {
+    const parsed = parseSeries(series);
+    if (!parsed) continue;
+    const metric = baseName(parsed.name);
+    if (metric === parsed.name) {
+      counters.push({ name: parsed.name, labels: parsed.labels, value });
+      continue;
+    }
+    const { le, ...labels } = parsed.labels;
+    const id = seriesName(metric, labels);
+    if (!histograms.has(id)) histograms.set(id, { name: metric, labels, buckets: [], sum: 0, count: 0 });
+    const histogram = histograms.get(id);
+    if (parsed.name.endsWith('_bucket')) histogram.buckets.push({ le, count: value });
+    else if (parsed.name.endsWith('_sum')) histogram.sum = value;
+    else histogram.count = value;
+  }
+
+  const histogramList = [...histograms.values()].map((histogram) => ({
+    ...histogram,
+    averageMs: histogram.count ? Math.round(histogram.sum / histogram.count) : null,
+    p50Ms: estimateQuantile(histogram.buckets, histogram.count, 0.5),
+    p95Ms: estimateQuantile(histogram.buckets, histogram.count, 0.95)
+  }));
+
+  const total = (name, match = {}) => counters
+    .filter((counter) => counter.name === name && Object.entries(match).every(([key, value]) => counter.labels[key] === value))
+    .reduce((sum, counter) => sum + counter.value, 0);
+  const cacheTotal = total('skio_cache_requests_total');
+  const cacheServed = ['HIT', 'STALE', 'STALE-ERROR', 'STALE-CIRCUIT-OPEN']
+    .reduce((sum, outcome) => sum + total('skio_cache_requests_total', { outcome }), 0);
+
+  return {
+    summary: {
+      cacheHitRatio: cacheTotal ? Number((cacheServed / cacheTotal).toFixed(4)) : null,
+      upstreamRequests: total('skio_upstream_requests_total'),
+      upstreamFailures: total('skio_upstream_requests_total') - total('skio_upstream_requests_total', { outcome: 'ok' }),
+      upstreamRetries: total('skio_upstream_retries_total'),
+      circuitBreakerTrips: total('skio_circuit_breaker_trips_total'),
+      rateLimited: total('skio_rate_limited_total'),
+      exceptionRuleHits: total('skio_exception_rule_hits_total'),
+      reservationsApproved: total('skio_reservations_total', { result: 'approved' }),
+      reservationsDenied: total('skio_reservations_total', { result: 'denied' }),
+      reservationsUnavailable: total('skio_reservations_total', { result: 'unavailable' }),
+      reservationsWaitlisted: total('skio_reservations_total', { result: 'waitlisted' }),
+      reservationsReplayed: total('skio_reservations_total', { result: 'replayed' }),
+      reservationsCancelled: total('skio_reservations_total', { result: 'cancelled' }),
+      reservationsRescheduled: total('skio_reservations_total', { result: 'rescheduled' }),
+      klaviyoFailures: total('klaviyo_requests_total') - total('klaviyo_requests_total', { outcome: 'ok' })
+    },
+    counters,
+    histograms: histogramList
+  };
+}
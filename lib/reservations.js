@@ -0,0 +1,191 @@
+// lib/reservations.js - Class reservation records in KV
+// One record per customer and session (`skio:reservation:v2:<hash>:<sessionId>`), so a
+// repeated reservation returns the original instead of re-sending it to Klaviyo. Every
+// session keeps a set of its record keys. An `Idempotency-Key` points at the record it
+// created for 24 hours, scoped to the customer so keys can't be used across accounts.
+// Cancelled and rescheduled records are kept until the customer reserves that session again.
+// Records have no TTL and are keyed by the peppered email hash, so they need KV_KEY_PEPPER
+// and changing it makes every existing record and seat unreachable (see README).
+import { randomUUID } from 'node:crypto';
+import { kv } from './kv.js';
+import { durableCustomerKey, hashIdentifier, hasKeyPepper } from './keys.js';
+
+export const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+const CLAIM_TTL_SECONDS = 60; // A crashed request frees the session after a minute
+
+export const SESSIONS_KEY = 'skio:reservations:sessions';
+const SESSION_ID_RE = /^[A-Za-z0-9._:-]{1,64}$/;
+const IDEMPOTENCY_KEY_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+const ACTIVE_STATUSES = new Set(['pending', 'reserved', 'waitlisted']);
+
+// Writes ARGV[2] only while the key still holds ARGV[1] ('' = missing), so two requests
+// can't both act on the same record. ARGV[3] is an optional TTL in seconds.
+const COMPARE_AND_SET_SCRIPT = `
+if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+if ARGV[3] then
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+/**
+ * Session a reservation belongs to: `moduleData.sessionId` when the theme sends one,
+ * otherwise `module-<moduleIndex>`. Returns null when it isn't a safe key segment.
+ */
+export function resolveSessionId(moduleData) {
+  const sessionId = String(moduleData?.sessionId || `module-${moduleData?.moduleIndex || '1'}`).trim();
+  return SESSION_ID_RE.test(sessionId) ? sessionId : null;
+}
+
+/** False without KV or KV_KEY_PEPPER; reservations then aren't recorded or capped. */
+export function isReservationStoreAvailable() {
+  return Boolean(kv) && hasKeyPepper();
+}
+
+export function reservationKey(emailLower, sessionId) {
+  return `${durableCustomerKey('skio:reservation', emailLower)}:${sessionId}`;
+}
+
+export function sessionIndexKey(sessionId) {
+  return `skio:reservations:session:${sessionId}`;
+}
+
+function idempotencyRecordKey(emailLower, idempotencyKey) {
+  return `${durableCustomerKey('skio:idem', emailLower)}:${hashIdentifier(idempotencyKey).slice(0, 16)}`;
+}
+
+export function getIdempotencyKeyFromRequest(req) {
+  return String(req.headers?.['idempotency-key'] || '').trim();
+}
+
+export function isValidIdempotencyKey(idempotencyKey) {
+  return IDEMPOTENCY_KEY_RE.test(idempotencyKey);
+}
+
+export async function getReservation(emailLower, sessionId) {
+  return kv.get(reservationKey(emailLower, sessionId));
+}
+
+/** Pending, reserved or waitlisted; cancelled and rescheduled records don't hold the session. */
+export function isActiveReservation(record) {
+  return Boolean(record) && ACTIVE_STATUSES.has(record.status);
+}
+
+async function compareAndSet(key, expected, value, ttlSeconds) {
+  const args = [expected ? JSON.stringify(expected) : '', JSON.stringify(value)];
+  if (ttlSeconds) args.push(String(ttlSeconds));
+  return Number(await kv.eval(COMPARE_AND_SET_SCRIPT, [key], args)) === 1;
+}
+
+/** Session ID an earlier request with this key reserved, or null. */
+export async function findIdempotentSession(emailLower, idempotencyKey) {
+  const stored = await kv.get(idempotencyRecordKey(emailLower, idempotencyKey));
+  return stored?.sessionId || null;
+}
+
+/**
+ * Hold the customer's slot in a session while Klaviyo is called, so a double-click
+ * can't reserve twice. A cancelled or rescheduled record is replaced. Returns the
+ * pending record, or null if an active one already exists. `details` may carry over
+ * `calendarUid`/`calendarSequence` so a rescheduled invite updates the original event.
+ */
+export async function claimReservation(emailLower, sessionId, details) {
+  const key = reservationKey(emailLower, sessionId);
+  const existing = await kv.get(key);
+  if (isActiveReservation(existing)) return null;
+
+  const id = randomUUID();
+  const pending = {
+    id,
+    status: 'pending',
+    email: emailLower,
+    sessionId,
+    calendarUid: id,
+    calendarSequence: 0,
+    ...details
+  };
+  const claimed = await compareAndSet(key, existing, pending, CLAIM_TTL_SECONDS);
+  return claimed ? pending : null;
+}
+
+export async function releaseReservationClaim(emailLower, sessionId) {
+  await kv.del(reservationKey(emailLower, sessionId));
+}
+
+/**
+ * Persist a finished reservation (no TTL) and index it under its session. `status` is
+ * `reserved`, or `waitlisted` when the session was full.
+ */
+export async function saveReservation(record, { idempotencyKey, status = 'reserved' } = {}) {
+  const key = reservationKey(record.email, record.sessionId);
+  const saved = { ...record, status };
+  await kv.set(key, saved);
+  await Promise.all([
+    kv.sadd(sessionIndexKey(record.sessionId), key),
+    kv.sadd(SESSIONS_KEY, record.sessionId),
+    idempotencyKey
+      ? kv.set(idempotencyRecordKey(record.email, idempotencyKey), { sessionId: record.sessionId }, { ex: IDEMPOTENCY_TTL_SECONDS })
+      : null
+  ]);
+  return saved;
+}
+
+/**
+ * Apply `changes` to a stored record, unless another request changed it since it was
+ * read. Returns the updated record, or null when it had changed.
+ */
+export async function updateReservation(record, changes) {
+  const updated = { ...record, ...changes };
+  const saved = await compareAndSet(reservationKey(record.email, record.sessionId), record, updated);
+  return saved ? updated : null;
+}
+
+/** The customer's record in every known session, in any status. */
+export async function listCustomerReservations(emailLower) {
+  const sessionIds = await kv.smembers(SESSIONS_KEY);
+  if (!Array.isArray(sessionIds) || !sessionIds.length) return [];
+  const records = await kv.mget(...sessionIds.map((sessionId) => reservationKey(emailLower, sessionId)));
+  return records.filter(Boolean);
+}
+
+/**
+ * Every finished record in a session (reserved, waitlisted, cancelled or rescheduled),
+ * oldest first. Claims still in progress are left out.
+ */
+export async function listSessionReservations(sessionId) {
+  const keys = await kv.smembers(sessionIndexKey(sessionId));
+  if (!Array.isArray(keys) || !keys.length) return [];
+  const records = await kv.mget(...keys);
+  return records
+    .filter((record) => record && record.status !== 'pending')
+    .sort((a, b) => reservationTime(a).localeCompare(reservationTime(b)));
+}
+
+function reservationTime(record) {
+  return record.reservedAt || record.waitlistedAt || '';
+}
+
+export async function listSessionIds() {
+  const ids = await kv.smembers(SESSIONS_KEY);
+  return (Array.isArray(ids) ? ids : []).sort();
+}
+
+/** Session details as Klaviyo event properties, named like the reservation event's. */
+export function reservationEventProperties(record) {
+  return {
+    session_id: record.sessionId,
+    module_number: record.moduleIndex || '1',
+    module_label: record.moduleLabel || '',
+    session_title: record.sessionTitle || '',
+    expert_name: record.expertName || '',
+    expert_role: record.expertRole || '',
+    session_date: record.dateText || '',
+    ...(record.startsAt && {
+      session_starts_at: record.startsAt,
+      session_duration_minutes: record.durationMinutes
+    }),
+    ...(record.joinUrl && { join_url: record.joinUrl })
+  };
+}
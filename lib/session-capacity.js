@@ -0,0 +1,274 @@
+// lib/session-capacity.js - Seat limits and waitlists for live class sessions
+// A session's capacity is `skio:reservations:session:<id>:capacity`; without one it's
+// unlimited. Held seats are a set of reservation keys (`...:seats`) and the waitlist a
+// sorted set scored by join time (`...:waitlist`). Seats are taken, released and handed
+// to the waitlist inside Lua scripts, so concurrent reservations can't overbook.
+import { kv } from './kv.js';
+import { logger } from './logger.js';
+import { buildEventPayload, buildProfileUpdatePayload } from './klaviyo.js';
+import { sendOrQueueKlaviyoCall } from './klaviyo-outbox.js';
+import {
+  isActiveReservation,
+  listCustomerReservations,
+  reservationEventProperties,
+  reservationKey,
+  SESSIONS_KEY,
+  sessionIndexKey,
+  updateReservation
+} from './reservations.js';
+
+export const MAX_SESSION_CAPACITY = 10000;
+
+const TAKE_SEAT_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 1 then return {1, 0} end
+local capacity = tonumber(redis.call('GET', KEYS[2]))
+if not capacity or redis.call('SCARD', KEYS[1]) < capacity then
+  redis.call('SADD', KEYS[1], ARGV[1])
+  redis.call('ZREM', KEYS[3], ARGV[1])
+  return {1, 0}
+end
+if ARGV[3] == '0' then return {0, 0} end
+redis.call('ZADD', KEYS[3], 'NX', ARGV[2], ARGV[1])
+return {0, redis.call('ZRANK', KEYS[3], ARGV[1]) + 1}
+`;
+
+// Fill free seats from the head of the waitlist; returns the promoted reservation keys
+const PROMOTE_SCRIPT = `
+if ARGV[1] then
+  redis.call('SREM', KEYS[1], ARGV[1])
+  redis.call('ZREM', KEYS[3], ARGV[1])
+end
+local capacity = tonumber(redis.call('GET', KEYS[2]))
+local promoted = {}
+while true do
+  if capacity and redis.call('SCARD', KEYS[1]) >= capacity then break end
+  local nextMember = redis.call('ZRANGE', KEYS[3], 0, 0)[1]
+  if not nextMember then break end
+  redis.call('ZREM', KEYS[3], nextMember)
+  redis.call('SADD', KEYS[1], nextMember)
+  table.insert(promoted, nextMember)
+end
+return promoted
+`;
+
+const COUNTS_SCRIPT = `
+local position = 0
+if ARGV[1] then
+  local rank = redis.call('ZRANK', KEYS[2], ARGV[1])
+  if rank then position = rank + 1 end
+end
+return {redis.call('SCARD', KEYS[1]), redis.call('ZCARD', KEYS[2]), position}
+`;
+
+function capacityKey(sessionId) {
+  return `${sessionIndexKey(sessionId)}:capacity`;
+}
+
+function seatsKey(sessionId) {
+  return `${sessionIndexKey(sessionId)}:seats`;
+}
+
+function waitlistKey(sessionId) {
+  return `${sessionIndexKey(sessionId)}:waitlist`;
+}
+
+function sessionKeys(sessionId) {
+  return [seatsKey(sessionId), capacityKey(sessionId), waitlistKey(sessionId)];
+}
+
+export function isValidCapacity(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_SESSION_CAPACITY;
+}
+
+export async function getSessionCapacity(sessionId) {
+  const capacity = await kv.get(capacityKey(sessionId));
+  return Number.isInteger(capacity) ? capacity : null;
+}
+
+/**
+ * Seat for this customer if one is free, otherwise a place on the waitlist.
+ * Returns `{ seated: true }` or `{ seated: false, position }` (1 = next in line).
+ * With `waitlist: false` a full session leaves the waitlist alone (`position` is null).
+ */
+export async function takeSeat(emailLower, sessionId, { waitlist = true } = {}) {
+  const args = [reservationKey(emailLower, sessionId), String(Date.now()), waitlist ? '1' : '0'];
+  let [seated, position] = await kv.eval(TAKE_SEAT_SCRIPT, sessionKeys(sessionId), args);
+  // A full session may be holding seats for requests that died; free those and look again
+  if (Number(seated) !== 1 && (await reclaimStaleSeats(sessionId))) {
+    [seated, position] = await kv.eval(TAKE_SEAT_SCRIPT, sessionKeys(sessionId), args);
+  }
+  return Number(seated) === 1 ? { seated: true } : { seated: false, position: Number(position) || null };
+}
+
+export async function getWaitlistPosition(emailLower, sessionId) {
+  const [, , position] = await kv.eval(COUNTS_SCRIPT, [seatsKey(sessionId), waitlistKey(sessionId)], [reservationKey(emailLower, sessionId)]);
+  return Number(position) || null;
+}
+
+/** `{ sessionId, capacity, reserved, waitlisted, available }`; `available` is null when unlimited. */
+export async function getSessionSummary(sessionId) {
+  const [capacity, [reserved, waitlisted]] = await Promise.all([
+    getSessionCapacity(sessionId),
+    kv.eval(COUNTS_SCRIPT, [seatsKey(sessionId), waitlistKey(sessionId)], [])
+  ]);
+  return {
+    sessionId,
+    capacity,
+    reserved: Number(reserved),
+    waitlisted: Number(waitlisted),
+    available: capacity === null ? null : Math.max(0, capacity - Number(reserved))
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PROMOTION
+// Whoever frees seats (a cancellation, a capacity increase) promotes the waitlist.
+// A record still `pending` keeps its seat; the request that owns it finishes the
+// promotion once it has saved the record (`settleWaitlisted`).
+// ═══════════════════════════════════════════════════════════════
+// The same class properties reserve-class sets. `90_day_class_waitlisted` covers every
+// session, so it's only cleared when the customer isn't waiting for another one.
+async function promotedProfileProperties(record) {
+  const stillWaiting = await listCustomerReservations(record.email)
+    .then((records) => records.some((other) => other.sessionId !== record.sessionId && isActiveReservation(other) && other.status === 'waitlisted'))
+    .catch((e) => {
+      logger.warn('Reservation lookup failed', { error: e.message });
+      return true;
+    });
+  return {
+    '90_day_class_reserved': true,
+    '90_day_class_reserved_at': record.reservedAt,
+    ...(!stillWaiting && { '90_day_class_waitlisted': false }),
+    '90_day_class_module': record.moduleIndex || '1',
+    '90_day_class_module_label': record.moduleLabel || '',
+    '90_day_class_session_title': record.sessionTitle || '',
+    '90_day_class_expert': record.expertName || '',
+    '90_day_class_date': record.dateText || '',
+    ...(record.startsAt && { '90_day_class_starts_at': record.startsAt }),
+    ...(record.joinUrl && { '90_day_class_join_url': record.joinUrl })
+  };
+}
+
+async function notifyPromoted(sessionId, keys) {
+  const queue = [...keys];
+  const promoted = [];
+  while (queue.length) {
+    const key = queue.shift();
+    const record = await kv.get(key);
+    if (record?.status === 'pending' || record?.status === 'reserved') continue;
+
+    if (record?.status !== 'waitlisted') {
+      // Cancelled or gone since it joined the waitlist: the seat goes to the next in line
+      const next = await kv.eval(PROMOTE_SCRIPT, sessionKeys(sessionId), [key]);
+      queue.push(...(Array.isArray(next) ? next : []));
+      continue;
+    }
+
+    const promotedAt = new Date().toISOString();
+    const updated = await updateReservation(record, { status: 'reserved', reservedAt: promotedAt, promotedAt });
+    if (!updated) {
+      // Changed by another request (usually a cancel); look at it again
+      queue.push(key);
+      continue;
+    }
+
+    const context = { action: 'waitlist-promotion', sessionId: record.sessionId, reservationId: record.id };
+    const [profileOutcome, eventOutcome] = await Promise.all([
+      sendOrQueueKlaviyoCall({
+        call: 'profile-import',
+        email: record.email,
+        context,
+        payload: buildProfileUpdatePayload(record.email, await promotedProfileProperties(updated))
+      }),
+      sendOrQueueKlaviyoCall({
+        call: 'event',
+        email: record.email,
+        context,
+        payload: buildEventPayload('90 Day Class Waitlist Promoted', record.email, {
+          ...reservationEventProperties(record),
+          waitlisted_at: record.waitlistedAt || '',
+          reserved_at: promotedAt
+        }, { time: promotedAt, uniqueId: `promoted:${record.id}` })
+      })
+    ]);
+    logger.info('Promoted from waitlist', {
+      email: record.email,
+      sessionId: record.sessionId,
+      reservationId: record.id,
+      klaviyo: { 'profile-import': profileOutcome, event: eventOutcome }
+    });
+    promoted.push(updated);
+  }
+  return promoted;
+}
+
+/** Move people from the waitlist into free seats. Returns the promoted reservations. */
+export async function promoteWaitlist(sessionId) {
+  const keys = await kv.eval(PROMOTE_SCRIPT, sessionKeys(sessionId), []);
+  return notifyPromoted(sessionId, Array.isArray(keys) ? keys : []);
+}
+
+/**
+ * Give up a customer's seat (or waitlist place) and promote whoever is next.
+ * Returns the promoted reservations.
+ */
+export async function releaseSeat(emailLower, sessionId) {
+  const keys = await kv.eval(PROMOTE_SCRIPT, sessionKeys(sessionId), [reservationKey(emailLower, sessionId)]);
+  return notifyPromoted(sessionId, Array.isArray(keys) ? keys : []);
+}
+
+/**
+ * Free seats whose record expired (a request that died before saving it) or no longer
+ * holds them, and pass them on to the waitlist. Returns how many were reclaimed.
+ */
+export async function reclaimStaleSeats(sessionId) {
+  const keys = await kv.smembers(seatsKey(sessionId));
+  if (!Array.isArray(keys) || !keys.length) return 0;
+  const records = await kv.mget(...keys);
+  const stale = keys.filter((key, i) => !['pending', 'reserved'].includes(records[i]?.status));
+  if (stale.length) {
+    logger.warn('Reclaiming stale seats', { sessionId, count: stale.length });
+    await notifyPromoted(sessionId, stale);
+  }
+  return stale.length;
+}
+
+/**
+ * Finish a promotion that reached this reservation while it was still pending, now that
+ * it's saved as `waitlisted`. Returns the reserved record, or null if it's still waiting.
+ */
+export async function settleWaitlisted(record) {
+  const key = reservationKey(record.email, record.sessionId);
+  if (Number(await kv.sismember(seatsKey(record.sessionId), key)) !== 1) return null;
+  await notifyPromoted(record.sessionId, [key]);
+  const current = await kv.get(key);
+  return current?.status === 'reserved' ? current : null;
+}
+
+/**
+ * Set (or with `null`, remove) a session's capacity. Reservations made before seats
+ * were counted are seated first, then any freed seats go to the waitlist.
+ */
+export async function setSessionCapacity(sessionId, capacity) {
+  if (capacity === null) {
+    await kv.del(capacityKey(sessionId));
+  } else {
+    await kv.set(capacityKey(sessionId), capacity);
+  }
+  await kv.sadd(SESSIONS_KEY, sessionId);
+  await backfillSeats(sessionId);
+  await reclaimStaleSeats(sessionId);
+  const promoted = await promoteWaitlist(sessionId);
+  return { ...(await getSessionSummary(sessionId)), promoted };
+}
+
+async function backfillSeats(sessionId) {
+  const [{ reserved }, keys] = await Promise.all([
+    getSessionSummary(sessionId),
+    kv.smembers(sessionIndexKey(sessionId))
+  ]);
+  if (reserved || !Array.isArray(keys) || !keys.length) return;
+  const records = await kv.mget(...keys);
+  const held = keys.filter((key, i) => records[i]?.status === 'reserved');
+  if (held.length) await kv.sadd(seatsKey(sessionId), ...held);
+}
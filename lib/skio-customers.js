@@ -0,0 +1,170 @@
+// lib/skio-customers.js - Direct Skio lookups for a single customer
+// Used for customer-ID exception rules (cached in KV to keep the extra round trip off
+// the hot path) and by admin tools that need a fresh answer straight from Skio.
+import { kv } from './kv.js';
+import { logger } from './logger.js';
+import { CircuitOpenError, checkCircuit, recordFailure, recordSuccess } from './circuit-breaker.js';
+import { incrementCounter } from './metrics.js';
+import { customerKey } from './keys.js';
+import { resolveOperation } from './skio-operations.js';
+import { buildSubscriptionQuery, extractSubscriptions } from './eligibility.js';
+
+const SKIO_GRAPHQL_URL = 'https://graphql.skio.com/v1/graphql';
+const LOOKUP_TIMEOUT_MS = 5000;
+const IDS_CACHE_TTL_SECONDS = 86400;      // IDs don't change once assigned
+const MISSING_CACHE_TTL_SECONDS = 300;    // New customers may appear in Skio shortly
+const FAILED_CACHE_TTL_SECONDS = 60;      // Don't retry a failed lookup on every request
+
+const CUSTOMER_IDS_QUERY = `
+  query StorefrontUserIds($email: String!) {
+    StorefrontUsers(where: { emailLower: { _eq: $email } }, limit: 1) {
+      id
+      platformId
+    }
+  }
+`;
+
+async function querySkio(query, variables) {
+  const apiKey = process.env.SKIO_API_KEY;
+  if (!apiKey) throw new Error('SKIO_API_KEY not configured');
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), LOOKUP_TIMEOUT_MS);
+  let data;
+  try {
+    const response = await fetch(SKIO_GRAPHQL_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'authorization': `API ${apiKey}`
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const error = new Error(`Skio returned ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    data = await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+  if (data.errors) {
+    const error = new Error(data.errors[0]?.message || 'Skio GraphQL error');
+    error.graphql = true;
+    throw error;
+  }
+  return data;
+}
+
+// Network errors, timeouts and 5xx mean Skio is down; a 4xx or GraphQL error means it answered
+function isSkioOutage(error) {
+  return !error.graphql && (!error.status || error.status >= 500);
+}
+
+/**
+ * `querySkio` behind the shared circuit breaker, for lookups storefront requests wait on:
+ * while Skio is down they fail fast instead of each waiting out the timeout.
+ */
+async function queryThroughBreaker(query, variables) {
+  const breaker = await checkCircuit({ probeTimeoutMs: LOOKUP_TIMEOUT_MS });
+  if (!breaker.allowed) {
+    incrementCounter('skio_customer_id_lookups_total', { outcome: 'circuit_open' });
+    throw new CircuitOpenError(breaker.state);
+  }
+
+  try {
+    const data = await querySkio(query, variables);
+    await recordSuccess(breaker);
+    incrementCounter('skio_customer_id_lookups_total', { outcome: 'ok' });
+    return data;
+  } catch (error) {
+    if (isSkioOutage(error)) {
+      await recordFailure(breaker, error);
+    } else {
+      await recordSuccess(breaker);
+    }
+    incrementCounter('skio_customer_id_lookups_total', { outcome: error.name === 'AbortError' ? 'timeout' : 'error' });
+    throw error;
+  }
+}
+
+function toShopifyCustomerId(platformId) {
+  // Skio stores the Shopify GID (`gid://shopify/Customer/123`); rules use the numeric part
+  const match = /(\d+)$/.exec(String(platformId || ''));
+  return match ? match[1] : null;
+}
+
+export function customerIdsCacheKey(emailLower) {
+  return customerKey('skio:ids', emailLower);
+}
+
+/**
+ * Returns `{ shopifyCustomerId, skioUserId }` (either may be null) for a lowercased email.
+ * Throws if Skio can't be reached and nothing is cached, and keeps throwing for a minute
+ * after a failed lookup; callers treat that as "no ID rule matches".
+ */
+export async function resolveCustomerIds(emailLower) {
+  const cacheKey = customerIdsCacheKey(emailLower);
+  const failedKey = `${cacheKey}:failed`;
+  if (kv) {
+    let failed = null;
+    try {
+      const [cached, lastFailure] = await kv.mget(cacheKey, failedKey);
+      if (cached) return cached;
+      failed = lastFailure;
+    } catch (e) {
+      logger.warn('Customer ID cache read failed', { error: e.message });
+    }
+    if (failed) {
+      incrementCounter('skio_customer_id_lookups_total', { outcome: 'recent_failure' });
+      throw new Error('Customer ID lookup failed recently');
+    }
+  }
+
+  let data;
+  try {
+    data = await queryThroughBreaker(CUSTOMER_IDS_QUERY, { email: emailLower });
+  } catch (error) {
+    if (kv) {
+      kv.set(failedKey, { at: Date.now(), error: error.message }, { ex: FAILED_CACHE_TTL_SECONDS })
+        .catch(e => logger.warn('Customer ID failure cache set failed', { error: e.message }));
+    }
+    throw error;
+  }
+  const user = data.data?.StorefrontUsers?.[0];
+  const ids = {
+    shopifyCustomerId: toShopifyCustomerId(user?.platformId),
+    skioUserId: user?.id || null
+  };
+
+  if (kv) {
+    const ttl = user ? IDS_CACHE_TTL_SECONDS : MISSING_CACHE_TTL_SECONDS;
+    kv.set(cacheKey, ids, { ex: ttl })
+      .catch(e => logger.warn('Customer ID cache set failed', { error: e.message }));
+  }
+  return ids;
+}
+
+/**
+ * Run the storefront's `CustomerSubscriptions` operation for one customer, bypassing
+ * every cache. Returns `{ operation, variables, data }` so callers can re-prime the cache
+ * entry the storefront reads.
+ */
+export async function fetchCustomerSubscriptions(emailLower) {
+  const { operation } = resolveOperation({ operationId: 'CustomerSubscriptions' });
+  const variables = { email: emailLower };
+  const data = await querySkio(operation.query, variables);
+  return { operation, variables, data };
+}
+
+/**
+ * Every subscription Skio has for a customer, in any status, with the fields `policy`
+ * needs. For CS tooling; the reservation gate runs the same query with retries.
+ */
+export async function fetchSubscriptionDetails(emailLower, policy) {
+  const { query, variables } = buildSubscriptionQuery(policy);
+  const data = await querySkio(query, { ...variables, email: emailLower });
+  return extractSubscriptions(data);
+}
@@ -0,0 +1,135 @@
+// lib/skio-operations.js - Registry of persisted Skio GraphQL operations
+// Only documents listed here are ever forwarded to Skio with our API key.
+import { createHash } from 'node:crypto';
+
+// ═══════════════════════════════════════════════════════════════
+// REGISTERED OPERATIONS
+// Add new storefront queries here. Keys must match the GraphQL operation name.
+// Every document must declare `$email` so the proxy can enforce per-customer access.
+// ═══════════════════════════════════════════════════════════════
+const OPERATION_DOCUMENTS = {
+  CustomerSubscriptions: `
+    query CustomerSubscriptions($email: String!) {
+      Subscriptions(
+        where: { StorefrontUser: { emailLower: { _eq: $email } } },
+        limit: 25
+      ) {
+        status
+        BillingPolicy {
+          interval
+          intervalCount
+        }
+      }
+    }
+  `,
+  CustomerSubscriptionLines: `
+    query CustomerSubscriptionLines($email: String!) {
+      Subscriptions(
+        where: { StorefrontUser: { emailLower: { _eq: $email } } },
+        limit: 25
+      ) {
+        status
+        SubscriptionLines {
+          quantity
+          ProductVariant {
+            platformId
+            title
+          }
+        }
+      }
+    }
+  `
+};
+
+// ═══════════════════════════════════════════════════════════════
+// DOCUMENT NORMALIZATION
+// Whitespace and comments don't change meaning, so they don't change the hash.
+// ═══════════════════════════════════════════════════════════════
+function stripStrings(document) {
+  return document.replace(/"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"/g, '""');
+}
+
+export function normalizeDocument(document) {
+  return String(document || '')
+    .replace(/#[^\n\r]*/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([{}()[\]:,=!@$|&])\s*/g, '$1')
+    .trim();
+}
+
+export function hashDocument(document) {
+  return createHash('sha256').update(normalizeDocument(document)).digest('hex');
+}
+
+export function isMutationOrSubscription(document) {
+  const withoutStrings = stripStrings(normalizeDocument(document));
+  return /(?:^|\})\s*(mutation|subscription)\b/.test(withoutStrings);
+}
+
+// Names of the variables a document declares, e.g. `query X($email: String!)` -> ['email']
+function declaredVariables(document) {
+  const header = /^\s*query\s+\w+\s*\(([^)]*)\)/.exec(document);
+  return header ? [...header[1].matchAll(/\$(\w+)\s*:/g)].map((match) => match[1]) : [];
+}
+
+const operationsById = new Map();
+const operationsByHash = new Map();
+
+for (const [id, query] of Object.entries(OPERATION_DOCUMENTS)) {
+  if (isMutationOrSubscription(query)) {
+    throw new Error(`Persisted operation ${id} must be a query`);
+  }
+  const operation = { id, query, hash: hashDocument(query), variables: declaredVariables(query) };
+  if (!operation.variables.includes('email')) {
+    throw new Error(`Persisted operation ${id} must declare $email`);
+  }
+  operationsById.set(id, operation);
+  operationsByHash.set(operation.hash, operation);
+}
+
+export function listOperations() {
+  return [...operationsById.values()].map(({ id, hash }) => ({ id, hash }));
+}
+
+/**
+ * Only the variables `operation` declares, so extra client variables can't reach Skio or
+ * create new cache entries.
+ */
+export function pickOperationVariables(operation, variables) {
+  const picked = {};
+  if (!variables || typeof variables !== 'object') return picked;
+  for (const name of operation.variables) {
+    if (Object.hasOwn(variables, name)) picked[name] = variables[name];
+  }
+  return picked;
+}
+
+/**
+ * Resolve the registered operation a storefront request refers to.
+ * Accepts `operationId`, an Apollo-style `extensions.persistedQuery.sha256Hash`,
+ * or a full `query` whose normalized text matches a registered document.
+ * Returns `{ operation }` on success or `{ error }` describing the rejection.
+ */
+export function resolveOperation(body = {}) {
+  if (typeof body.query === 'string' && isMutationOrSubscription(body.query)) {
+    return { error: 'Mutations and subscriptions are not allowed' };
+  }
+
+  if (body.operationId) {
+    const operation = operationsById.get(String(body.operationId));
+    return operation ? { operation } : { error: 'Unknown operationId' };
+  }
+
+  const persistedHash = body.extensions?.persistedQuery?.sha256Hash;
+  if (persistedHash) {
+    const operation = operationsByHash.get(String(persistedHash).toLowerCase());
+    return operation ? { operation } : { error: 'Persisted query not found' };
+  }
+
+  if (typeof body.query === 'string' && body.query.trim()) {
+    const operation = operationsByHash.get(hashDocument(body.query));
+    return operation ? { operation } : { error: 'Operation is not registered' };
+  }
+
+  return { error: 'operationId or query is required' };
+}
@@ -0,0 +1,87 @@
+// lib/subscription-cache.js - Keys and invalidation for cached Skio subscription lookups
+// Each (operation, variables) pair for a customer gets its own cache entry so different
+// storefront queries never share payloads. A per-customer index set tracks every
+// variant so they can all be purged at once. Reservation verification results are
+// cached separately under `skio:verify:`.
+import { kv } from './kv.js';
+import { customerKey, hashIdentifier } from './keys.js';
+import { logger } from './logger.js';
+
+const PURGE_BATCH_SIZE = 50;
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = canonicalize(value[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+export function subscriptionCacheIndexKey(emailLower) {
+  return `${customerKey('skio:sub', emailLower)}:keys`;
+}
+
+export function subscriptionCacheKey(emailLower, operation, variables = {}) {
+  const variant = hashIdentifier(`${operation.hash}:${JSON.stringify(canonicalize(variables))}`);
+  return `${customerKey('skio:sub', emailLower)}:${variant.slice(0, 16)}`;
+}
+
+export function verificationCacheKey(emailLower) {
+  return customerKey('skio:verify', emailLower);
+}
+
+export async function trackSubscriptionCacheKey(emailLower, cacheKey, ttlSeconds) {
+  const indexKey = subscriptionCacheIndexKey(emailLower);
+  await kv.sadd(indexKey, cacheKey);
+  await kv.expire(indexKey, ttlSeconds);
+}
+
+/**
+ * Drop every cached subscription variant for a customer.
+ * Returns the number of cache entries removed.
+ */
+export async function invalidateSubscriptionCache(emailLower) {
+  if (!kv) return 0;
+  const indexKey = subscriptionCacheIndexKey(emailLower);
+  const keys = await kv.smembers(indexKey);
+  const variantKeys = Array.isArray(keys) ? keys : [];
+  await kv.del(indexKey, ...variantKeys);
+  return variantKeys.length;
+}
+
+/**
+ * Drop everything cached about a customer's subscriptions: every storefront query
+ * variant and the reservation verification result.
+ */
+export async function invalidateCustomerCache(emailLower) {
+  if (!kv) return { subscriptionEntries: 0, verification: false };
+  const subscriptionEntries = await invalidateSubscriptionCache(emailLower);
+  const verification = (await kv.del(verificationCacheKey(emailLower))) > 0;
+  return { subscriptionEntries, verification };
+}
+
+/**
+ * Store a fresh result in the same envelope the proxy's stale-while-revalidate cache uses.
+ */
+export async function storeSubscriptionCache(emailLower, cacheKey, data, ttlSeconds) {
+  await kv.set(cacheKey, { ...data, cached: true, cachedAt: Date.now() }, { ex: ttlSeconds });
+  await trackSubscriptionCacheKey(emailLower, cacheKey, ttlSeconds);
+}
+
+/**
+ * Purge several customers at once (e.g. after a bulk import), a few at a time.
+ * Failures are logged rather than thrown: the caller's write has already succeeded.
+ */
+export async function invalidateCustomerCaches(emails) {
+  const unique = [...new Set(emails)];
+  for (let i = 0; i < unique.length; i += PURGE_BATCH_SIZE) {
+    await Promise.all(unique.slice(i, i + PURGE_BATCH_SIZE).map((emailLower) => (
+      invalidateCustomerCache(emailLower).catch((e) => logger.warn('Customer cache purge failed', { error: e.message }))
+    )));
+  }
+}
@@ -0,0 +1,12 @@
+// scripts/sign-customer-token.js - Mint a customer token for local testing
+// Usage: CUSTOMER_TOKEN_SECRET=... node scripts/sign-customer-token.js customer@example.com [ttlSeconds]
+import { signCustomerToken } from '../lib/customer-identity.js';
+
+const [email, ttlRaw] = process.argv.slice(2);
+if (!email) {
+  console.error('Usage: node scripts/sign-customer-token.js <email> [ttlSeconds]');
+  process.exit(1);
+}
+
+const ttlSeconds = Number.parseInt(ttlRaw, 10) || 3600;
+console.log(signCustomerToken(email, ttlSeconds));